@@ -2,18 +2,29 @@
 
 const fs = require("fs");
 const path = require("path");
+const {
+  findConfigFile,
+  loadConfigFile,
+  selectVariants,
+} = require("../lib/config.js");
 
 const RED = "\x1b[31m";
 const RESET = "\x1b[0m";
 
-// Load config from mdr.config.js
-function loadConfig() {
-  const cwd = process.cwd();
-  const configPath = path.join(cwd, "mdr.config.js");
+// Load the config from the --config file or the config file in the current
+// directory (mdr.config.js, .mjs, .cjs or .json)
+async function loadConfig(configArg) {
+  const configPath = configArg
+    ? path.resolve(configArg)
+    : findConfigFile(process.cwd());
 
-  if (!fs.existsSync(configPath)) {
+  if (configArg && !fs.existsSync(configPath)) {
+    console.error(`${RED}Error: Config file not found: ${configArg}${RESET}`);
+    process.exit(1);
+  }
+  if (!configPath) {
     console.error(
-      `${RED}Error: mdr.config.js not found in current directory${RESET}`
+      `${RED}Error: mdr.config.js (or .mjs, .cjs, .json) not found in current directory${RESET}`
     );
     console.error("\nCreate a config file with at least:");
     console.error(`
@@ -26,42 +37,43 @@ module.exports = {
     process.exit(1);
   }
 
-  // Load the config
-  const config = require(configPath);
-
-  // Validate required fields
-  const configName = path.basename(configPath);
-  if (!config.templatesDir) {
-    console.error(
-      `${RED}Error: templatesDir is required in ${configName}${RESET}`
-    );
-    process.exit(1);
-  }
-
-  if (!config.outputDir) {
-    console.error(
-      `${RED}Error: outputDir is required in ${configName}${RESET}`
-    );
+  // Load the config, validate it and apply defaults
+  try {
+    return await loadConfigFile(configPath);
+  } catch (err) {
+    console.error(`${RED}Error: ${err.message}${RESET}`);
     process.exit(1);
   }
-
-  // Apply defaults
-  return {
-    templatesDir: config.templatesDir,
-    outputDir: config.outputDir,
-    ignore: config.ignore || [],
-    debounceMs: config.debounceMs ?? 100,
-  };
 }
 
 function printUsage() {
   console.log(`
-Usage: mdr <command>
+Usage: mdr <command> [options]
 
 Commands:
-  render    Render all .mdoc files (output files must already exist)
+  render [paths]
+            Render all .mdoc files, or the given files, directories or globs
+            and what depends on them (output files must already exist)
   watch     Watch for changes and render automatically
-  push      Create/update all output files (creates missing .g.md files)
+  push [paths]
+            Create/update all output files (creates missing .g.md files),
+            or those of the given paths
+  check     Verify output files are up to date without writing (for CI)
+  rename <old.mdoc> <new.mdoc>
+            Move a template and its outputs, and update references to it
+
+Options:
+  --force       Render every template, even if the build manifest says it
+                is unchanged, and overwrite outputs edited by hand (render,
+                push, watch)
+  --serve       Serve a live preview of the output (watch)
+  --port <n>    Preview server port (default: 3000)
+  --dry-run     Only report what would change (rename)
+  --config <path>
+                Config file (default: mdr.config.js, .mjs, .cjs or .json in
+                the current directory)
+  --variant <name>
+                Only process this build variant (render, watch, push, check)
 
 Configuration:
   Create mdr.config.js in your project root:
@@ -70,8 +82,23 @@ Configuration:
   module.exports = {
     templatesDir: "./templates",  // Required: where .mdoc files are
     outputDir: "./out",           // Required: where .g.md files go
-    ignore: ["drafts"],           // Optional: directories to skip
+    ignore: ["drafts/"],          // Optional: paths to skip (gitignore-style)
     debounceMs: 100,              // Optional: watch debounce (default: 100)
+    format: "md",                 // Optional: "md", "html" or ["md", "html"]
+    templateFormats: {},          // Optional: format per template/directory
+    layout: "./layout.html",      // Optional: HTML layout ({{ content }})
+    variables: {},                // Optional: global Markdoc variables
+    variants: [],                 // Optional: build variants, see README
+    frontmatter: ["title"],       // Optional: frontmatter to keep in .g.md
+    header: true,                 // Optional: "do not edit" header in outputs
+    listRefStyle: "1.1",          // Optional: liRef numbering, e.g. "1a"
+    captions: {},                 // Optional: caption numbering, see README
+    manifest: ".mdr-manifest.json", // Optional: build manifest (false: none)
+    workers: 4,                   // Optional: render threads (default: cores)
+    tags: {},                     // Optional: custom Markdoc tags
+    nodes: {},                    // Optional: custom Markdoc nodes
+    functions: {},                // Optional: custom Markdoc functions
+    renderers: {},                // Optional: Markdown renderers by tag name
   };
 `);
 }
@@ -85,24 +112,88 @@ if (!command || command === "--help" || command === "-h") {
   process.exit(0);
 }
 
-const validCommands = ["render", "watch", "push"];
+const validCommands = ["render", "watch", "push", "check", "rename"];
 if (!validCommands.includes(command)) {
   console.error(`${RED}Error: Unknown command '${command}'${RESET}`);
   printUsage();
   process.exit(1);
 }
 
-const config = loadConfig();
-const { render, watch, push } = require("../lib/render.js");
-
-switch (command) {
-  case "render":
-    render(config);
-    break;
-  case "watch":
-    watch(config);
-    break;
-  case "push":
-    push(config);
-    break;
+// Value of an option like --port 4000, or undefined
+function optionValue(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+const valueOptions = ["--port", "--variant", "--config"];
+const positional = args
+  .slice(1)
+  .filter(
+    (arg, i) => !arg.startsWith("--") && !valueOptions.includes(args[i])
+  );
+if (command === "rename" && positional.length !== 2) {
+  console.error(`${RED}Error: rename needs <old.mdoc> <new.mdoc>${RESET}`);
+  process.exit(1);
+}
+if (["watch", "check"].includes(command) && positional.length > 0) {
+  console.error(`${RED}Error: ${command} doesn't take paths${RESET}`);
+  process.exit(1);
+}
+
+const options = {
+  force: args.includes("--force"),
+  serve: args.includes("--serve"),
+  port: Number(optionValue("--port") ?? 3000),
+  dryRun: args.includes("--dry-run"),
+  variant: optionValue("--variant"),
+  paths: positional,
+};
+const { render, watch, push, check, rename } = require("../lib/commands.js");
+
+// Run the command for each selected build variant; render, push and check
+// resolve to false on errors (in any variant)
+async function run() {
+  const config = await loadConfig(optionValue("--config"));
+
+  // A rename applies to the templates, and so to all variants
+  if (command === "rename") {
+    return rename(config, positional[0], positional[1], options);
+  }
+
+  const variants = selectVariants(config, options.variant);
+  let ok = true;
+  for (const [i, variantConfig] of variants.entries()) {
+    if (variantConfig.variant) {
+      const { variant, outputDir } = variantConfig;
+      const relativeDir = path.relative(process.cwd(), outputDir);
+      console.log(`${i > 0 ? "\n" : ""}Variant: ${variant} (${relativeDir})\n`);
+    }
+
+    switch (command) {
+      case "render":
+        ok = (await render(variantConfig, options)) && ok;
+        break;
+      case "watch":
+        // There is one preview server, for the first variant
+        watch(variantConfig, { ...options, serve: options.serve && i === 0 });
+        break;
+      case "push":
+        ok = (await push(variantConfig, options)) && ok;
+        break;
+      case "check":
+        ok = (await check(variantConfig)) && ok;
+        break;
+    }
+  }
+  return ok;
 }
+
+run().then(
+  (ok) => {
+    if (!ok) process.exit(1);
+  },
+  (err) => {
+    console.error(`${RED}Error: ${err.message}${RESET}`);
+    process.exit(1);
+  }
+);
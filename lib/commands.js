@@ -0,0 +1,1269 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  renderTemplate,
+  buildProjectIndex,
+  buildPartialDependencyMap,
+  buildCrossRefDependencyMap,
+  findChangedRefTargets,
+  getOutputPath,
+  getOutputFormats,
+  getMdocPath,
+  hasErrors,
+  checkGeneratedHeader,
+  nodeFs,
+} = require("./render.js");
+const {
+  createFileHasher,
+  createManifestEntry,
+  differsFromManifest,
+  isUpToDate,
+  loadManifest,
+  saveManifest,
+} = require("./manifest.js");
+const { isGlob, globToRegExp } = require("./glob.js");
+const { IGNORE_FILE, isIgnored } = require("./ignore.js");
+const { renderAll } = require("./parallel.js");
+const { loadConfigFile, selectVariants } = require("./config.js");
+const {
+  rewriteTemplateReferences,
+  rewriteMarkdownLinks,
+} = require("./rename.js");
+
+// ANSI color codes
+const RED = "\x1b[31m";
+const GREEN = "\x1b[32m";
+const YELLOW = "\x1b[33m";
+const RESET = "\x1b[0m";
+
+// Format a diagnostic as file:line: level: message, with the level colored
+// if color is set
+function formatDiagnostic(rootDir, d, color = false) {
+  const location = `${path.relative(rootDir, d.file)}${d.line ? `:${d.line}` : ""}`;
+  const level = color ? `${hasErrors([d]) ? RED : YELLOW}${d.level}${RESET}` : d.level;
+  const from = d.includedFrom
+    ? ` (included from ${path.relative(rootDir, d.includedFrom.file)}:${d.includedFrom.line})`
+    : "";
+  return `${location}: ${level}: ${d.message}${from}`;
+}
+
+// Print diagnostics as file:line: level: message
+function reportDiagnostics(rootDir, diagnostics) {
+  for (const d of diagnostics) {
+    console.error(formatDiagnostic(rootDir, d, true));
+  }
+}
+
+// Recursively find all .mdoc files (non-partial, unless options.partials)
+function findMdocFiles(dir, config, options = {}, files = []) {
+  const { outputDir } = config;
+  const outputDirName = path.basename(path.resolve(outputDir));
+
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      // Skip standard excluded directories
+      if (
+        entry.name === "node_modules" ||
+        entry.name === outputDirName ||
+        entry.name.startsWith(".")
+      ) {
+        continue;
+      }
+
+      // Skip ignored directories
+      if (isIgnored(config, fullPath, true)) {
+        continue;
+      }
+
+      findMdocFiles(fullPath, config, options, files);
+    } else if (
+      entry.isFile() &&
+      entry.name.endsWith(".mdoc") &&
+      (options.partials || !entry.name.endsWith(".p.mdoc"))
+    ) {
+      // Skip ignored files
+      if (!isIgnored(config, fullPath)) {
+        files.push(fullPath);
+      }
+    }
+  }
+  return files;
+}
+
+// Render a file (unless it was rendered already, see renderAll) and print
+// its diagnostics; returns the output per format and the files it was built
+// from ({ outputs: { md, html }, dependencies }) or null on errors
+function renderFileReported(config, filePath, projectIndex, rendered) {
+  const rootDir = path.resolve(config.templatesDir);
+  const { markdown, html, diagnostics, dependencies } =
+    rendered ?? renderTemplate({ ...config, file: filePath, projectIndex });
+  reportDiagnostics(rootDir, diagnostics);
+  if (hasErrors(diagnostics)) return null;
+  return { outputs: { md: markdown, html }, dependencies };
+}
+
+// Write an output file unless it already has this content; returns whether
+// it was written
+function writeIfChanged(outputPath, content) {
+  if (
+    fs.existsSync(outputPath) &&
+    fs.readFileSync(outputPath, "utf-8") === content
+  ) {
+    return false;
+  }
+  fs.writeFileSync(outputPath, content);
+  return true;
+}
+
+// Check whether an output file was edited by hand since mdr wrote it: its
+// "do not edit" header checksum doesn't match, or (without a header) its
+// content isn't what the build manifest recorded
+function isEditedByHand(config, outputPath, content, manifest) {
+  const intact = checkGeneratedHeader(content);
+  if (intact !== null) return !intact;
+  return manifest
+    ? differsFromManifest(config, manifest, outputPath, content)
+    : false;
+}
+
+// Check that no output of a template that is about to change was edited by
+// hand, unless guard.force is set (guard.manifest is the build manifest);
+// prints an error for each one that was
+function checkHandEdits(config, mdocPath, outputs, guard = {}) {
+  if (guard.force) return true;
+  const rootDir = path.resolve(config.templatesDir);
+  let ok = true;
+
+  for (const format of getOutputFormats(config, mdocPath)) {
+    const outputPath = getOutputPath(config, mdocPath, format);
+    if (!fs.existsSync(outputPath)) continue;
+    const content = fs.readFileSync(outputPath, "utf-8");
+    if (
+      content !== outputs[format] &&
+      isEditedByHand(config, outputPath, content, guard.manifest)
+    ) {
+      console.error(
+        `${RED}Error: ${path.relative(rootDir, outputPath)} was edited by hand, not overwritten (use --force to overwrite)${RESET}`
+      );
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// Render and write a single file (output files must already exist); returns
+// the render result (see renderFileReported) or false. Outputs edited by
+// hand aren't overwritten (see checkHandEdits).
+function renderAndWrite(config, mdocPath, projectIndex, rendered, guard) {
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(rootDir, mdocPath);
+  const formats = getOutputFormats(config, mdocPath);
+
+  // Check that output files exist
+  const missing = formats
+    .map((format) => getOutputPath(config, mdocPath, format))
+    .filter((outputPath) => !fs.existsSync(outputPath));
+  for (const outputPath of missing) {
+    const relativeOutput = path.relative(rootDir, outputPath);
+    console.error(
+      `${RED}Error: ${relativeOutput} does not exist. Create it first to enable rendering.${RESET}`
+    );
+  }
+  if (missing.length > 0) {
+    return false;
+  }
+
+  const result = renderFileReported(config, mdocPath, projectIndex, rendered);
+  if (result === null) {
+    console.error(`${RED}Error: ${relativePath} has errors, not written${RESET}`);
+    return false;
+  }
+  if (!checkHandEdits(config, mdocPath, result.outputs, guard)) {
+    return false;
+  }
+
+  for (const format of formats) {
+    const outputPath = getOutputPath(config, mdocPath, format);
+    const written = writeIfChanged(outputPath, result.outputs[format]);
+    console.log(
+      `${relativePath} -> ${path.relative(rootDir, outputPath)}${written ? "" : " (unchanged)"}`
+    );
+  }
+  return result;
+}
+
+// Recursively find all generated (.g.md and .g.html) files in output dir
+function findGeneratedFiles(dir, files = []) {
+  if (!fs.existsSync(dir)) return files;
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      findGeneratedFiles(fullPath, files);
+    } else if (entry.isFile() && isGeneratedFile(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Check if a file name is a generated output file
+function isGeneratedFile(fileName) {
+  return fileName.endsWith(".g.md") || fileName.endsWith(".g.html");
+}
+
+// Find orphaned generated files (those without corresponding .mdoc, of an
+// ignored one, or in a format the template no longer has)
+function findOrphans(config) {
+  const outputDir = path.resolve(config.outputDir);
+  return findGeneratedFiles(outputDir).filter((genFile) => {
+    const mdocPath = getMdocPath(config, genFile);
+    if (!fs.existsSync(mdocPath)) return true;
+    if (isIgnored(config, mdocPath)) return true;
+    const format = genFile.endsWith(".g.html") ? "html" : "md";
+    return !getOutputFormats(config, mdocPath).includes(format);
+  });
+}
+
+// Clean up orphaned .g.md files (those without corresponding .mdoc), or only
+// those of templates for which isSelected(mdocPath) is true
+function cleanupOrphans(config, isSelected = () => true) {
+  const rootDir = path.resolve(config.templatesDir);
+  const outputDir = path.resolve(config.outputDir);
+  let deletedCount = 0;
+
+  for (const genFile of findOrphans(config)) {
+    if (!isSelected(getMdocPath(config, genFile))) continue;
+
+    fs.unlinkSync(genFile);
+    console.log(`Deleted orphaned: ${path.relative(rootDir, genFile)}`);
+    deletedCount++;
+    removeEmptyDirs(path.dirname(genFile), outputDir);
+  }
+
+  return deletedCount;
+}
+
+// Remove dir and its parents while they are empty (but never the output dir
+// or above)
+function removeEmptyDirs(dir, outputDir) {
+  while (true) {
+    // Safety check: ensure we're still inside output directory
+    const resolvedDir = path.resolve(dir);
+    if (
+      resolvedDir === outputDir ||
+      !resolvedDir.startsWith(outputDir + path.sep)
+    ) {
+      break;
+    }
+
+    try {
+      const entries = fs.readdirSync(dir);
+      if (entries.length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+      } else {
+        break;
+      }
+    } catch {
+      break;
+    }
+  }
+}
+
+// Select the templates to render from paths given on the command line
+// (files, directories or globs, relative to the current directory): the
+// named templates, the templates that use named partials, and the templates
+// that reference any of these (the build manifest skips those that don't
+// need rendering). Without paths, all templates are selected. Returns
+// { files, isSelected } where isSelected(mdocPath) tells whether a path was
+// named, to scope orphan cleanup; prints an error and returns null if a path
+// matches nothing.
+function selectTemplates(config, mdocFiles, paths = []) {
+  if (paths.length === 0) {
+    return { files: mdocFiles, isSelected: () => true };
+  }
+
+  const toSlashes = (filePath) => filePath.split(path.sep).join("/");
+  const matchers = paths.map((selector) => {
+    const resolved = path.resolve(selector);
+    if (isGlob(selector)) {
+      const pattern = globToRegExp(toSlashes(resolved));
+      return (filePath) => pattern.test(toSlashes(filePath));
+    }
+    return (filePath) =>
+      filePath === resolved || filePath.startsWith(resolved + path.sep);
+  });
+  const isSelected = (filePath) => matchers.some((match) => match(filePath));
+
+  // Partials can be anywhere, as long as a template uses them
+  const partialMap = buildPartialDependencyMap(mdocFiles);
+  const orphanSources = findOrphans(config).map((genFile) =>
+    getMdocPath(config, genFile)
+  );
+  const candidates = [...mdocFiles, ...partialMap.keys(), ...orphanSources];
+  const unmatched = paths.filter(
+    (selector, i) => !candidates.some((filePath) => matchers[i](filePath))
+  );
+  if (unmatched.length > 0) {
+    for (const selector of unmatched) {
+      console.error(`${RED}Error: No .mdoc files match '${selector}'${RESET}`);
+    }
+    return null;
+  }
+
+  const selected = new Set(mdocFiles.filter(isSelected));
+  for (const [partialPath, users] of partialMap) {
+    if (isSelected(partialPath)) users.forEach((f) => selected.add(f));
+  }
+  const crossRefMap = buildCrossRefDependencyMap(mdocFiles);
+  for (const mdocPath of [...selected]) {
+    crossRefMap.get(mdocPath)?.forEach((f) => selected.add(f));
+  }
+
+  return { files: mdocFiles.filter((f) => selected.has(f)), isSelected };
+}
+
+// Start an incremental build: skip(mdocPath, projectIndex) tells whether a
+// template is unchanged since the manifest was written (and keeps its
+// entry), record(mdocPath, result, projectIndex) adds a rendered template,
+// keep(mdocPath) keeps the entry of a template that isn't part of this build
+// or failed (its outputs are still the recorded ones) and save() writes the
+// new manifest; previous is the manifest as loaded. Templates that are
+// neither skipped, recorded nor kept (deleted ones) drop out of it.
+function startBuild(config, options = {}) {
+  const previous = loadManifest(config);
+  const manifest = { ...previous, files: {} };
+  const hashFile = createFileHasher();
+  const rootDir = path.resolve(config.templatesDir);
+
+  const build = {
+    previous,
+    skippedCount: 0,
+    skip(mdocPath, projectIndex) {
+      const key = path.relative(rootDir, mdocPath);
+      const entry = previous.files[key];
+      if (
+        options.force ||
+        !isUpToDate(config, mdocPath, entry, projectIndex, hashFile)
+      ) {
+        return false;
+      }
+      manifest.files[key] = entry;
+      build.skippedCount++;
+      return true;
+    },
+    keep(mdocPath) {
+      const key = path.relative(rootDir, mdocPath);
+      if (previous.files[key]) manifest.files[key] = previous.files[key];
+    },
+    record(mdocPath, result, projectIndex) {
+      const key = path.relative(rootDir, mdocPath);
+      manifest.files[key] = createManifestEntry(
+        config,
+        mdocPath,
+        result,
+        projectIndex,
+        hashFile
+      );
+    },
+    save() {
+      saveManifest(config, manifest);
+    },
+  };
+  return build;
+}
+
+// Render all files, or those selected by options.paths (output files must
+// already exist); resolves to false on errors. Templates whose outputs and
+// inputs match the build manifest are skipped unless options.force is set.
+async function render(config, options = {}) {
+  const rootDir = path.resolve(config.templatesDir);
+  const mdocFiles = findMdocFiles(rootDir, config);
+
+  if (mdocFiles.length === 0) {
+    console.log("No .mdoc files found");
+    return true;
+  }
+
+  const selection = selectTemplates(config, mdocFiles, options.paths);
+  if (!selection) return false;
+
+  // Clean up orphaned .g.md files first
+  const deletedCount = cleanupOrphans(config, selection.isSelected);
+  if (deletedCount > 0) {
+    console.log();
+  }
+
+  const projectIndex = buildProjectIndex(mdocFiles, nodeFs, config);
+  const build = startBuild(config, options);
+  const toRender = selection.files.filter((f) => !build.skip(f, projectIndex));
+  mdocFiles
+    .filter((f) => !selection.files.includes(f))
+    .forEach((f) => build.keep(f));
+  const rendered = await renderAll(config, toRender, projectIndex);
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (const mdocPath of toRender) {
+    const result = renderAndWrite(
+      config,
+      mdocPath,
+      projectIndex,
+      rendered.get(mdocPath),
+      { force: options.force, manifest: build.previous }
+    );
+    if (result) {
+      successCount++;
+      build.record(mdocPath, result, projectIndex);
+    } else {
+      errorCount++;
+      build.keep(mdocPath);
+    }
+  }
+  build.save();
+
+  const upToDate =
+    build.skippedCount > 0 ? `, ${build.skippedCount} up to date` : "";
+  if (errorCount > 0) {
+    console.log(
+      `\n${RED}Rendered ${successCount} file(s)${upToDate}, ${errorCount} error(s)${RESET}`
+    );
+    return false;
+  } else {
+    console.log(
+      `\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)${upToDate}`
+    );
+    return true;
+  }
+}
+
+// Watch mode using fs.watch for native file system events. The tree under
+// templatesDir is watched directory by directory, files that templates use
+// from elsewhere (partials, layout) through their directories, and the
+// config file for a full rebuild when it changes.
+function watch(config, options = {}) {
+  let rootDir = path.resolve(config.templatesDir);
+  let outputDir = path.resolve(config.outputDir);
+
+  console.log("Watch mode started (using native fs events)...\n");
+
+  const watchers = new Map(); // dir -> FSWatcher (template tree)
+  const externalWatchers = new Map(); // dir -> FSWatcher (dependencies)
+  const pendingChanges = new Set();
+  const pendingErrors = new Set(); // mdoc files that failed to render (missing .g.md, errors or hand edits)
+  const renderedFrom = new Map(); // mdoc path -> files it was rendered from
+  const usedBy = new Map(); // file -> Set of mdoc paths rendered from it
+  let projectIndex = new Map(); // mdoc path -> ref index, for cross-document refs
+  let manifest = null; // build manifest, kept up to date with written outputs
+  let debounceTimer = null;
+
+  // Live preview (--serve): errors per mdoc file are shown in the browser.
+  // The server (and markdown-it) is only loaded when it's used.
+  const preview = options.serve
+    ? require("./serve.js").createPreviewServer(config)
+    : null;
+  const previewErrors = new Map(); // mdoc path -> error lines
+
+  // Check if a path is in the template tree
+  const isInTree = (filePath) =>
+    filePath === rootDir || filePath.startsWith(rootDir + path.sep);
+
+  // Remember which files a template was rendered from, and watch the ones
+  // outside the template tree or in ignored directories
+  function trackDependencies(mdocPath, files) {
+    for (const file of renderedFrom.get(mdocPath) || []) {
+      usedBy.get(file)?.delete(mdocPath);
+    }
+    renderedFrom.set(mdocPath, files);
+
+    for (const file of files) {
+      if (!usedBy.has(file)) {
+        usedBy.set(file, new Set());
+      }
+      usedBy.get(file).add(mdocPath);
+
+      const dir = path.dirname(file);
+      if (!isInTree(file) || isIgnored(config, dir, true)) {
+        watchExternal(dir);
+      }
+    }
+  }
+
+  // Render and write a file, keeping its errors for the preview; returns the
+  // render result or false
+  function renderWatched(mdocPath) {
+    const rendered = renderTemplate({ ...config, file: mdocPath, projectIndex });
+    trackDependencies(mdocPath, rendered.dependencies);
+    const result = renderAndWrite(config, mdocPath, projectIndex, rendered, {
+      force: options.force,
+      manifest,
+    });
+
+    if (result) {
+      previewErrors.delete(mdocPath);
+      manifest.files[path.relative(rootDir, mdocPath)] = createManifestEntry(
+        config,
+        mdocPath,
+        result,
+        projectIndex,
+        createFileHasher()
+      );
+    } else {
+      const errors = rendered.diagnostics
+        .filter((d) => hasErrors([d]))
+        .map((d) => formatDiagnostic(rootDir, d));
+      const relativePath = path.relative(rootDir, mdocPath);
+      const missing = `${relativePath}: output file missing, run 'mdr push'`;
+      previewErrors.set(mdocPath, errors.length > 0 ? errors : [missing]);
+    }
+    return result;
+  }
+
+  // Tell open preview pages what was written and which errors remain
+  function updatePreview(writtenMdocs) {
+    if (!preview) return;
+    const written = writtenMdocs.flatMap((mdocPath) =>
+      getOutputFormats(config, mdocPath).map((format) =>
+        getOutputPath(config, mdocPath, format)
+      )
+    );
+    preview.update(written, [...previewErrors.values()].flat());
+  }
+
+  // Process all pending changes
+  function processPendingChanges() {
+    if (pendingChanges.size === 0 && pendingErrors.size === 0) return;
+
+    const mdocFiles = findMdocFiles(rootDir, config);
+    const changedMdocs = new Set();
+    const changedPartials = new Set();
+
+    for (const filePath of pendingChanges) {
+      // Documents that include a deleted partial are re-rendered to report it
+      if (filePath.endsWith(".p.mdoc")) {
+        changedPartials.add(filePath);
+      } else if (filePath.endsWith(".mdoc") && isInTree(filePath)) {
+        if (fs.existsSync(filePath) && !isIgnored(config, filePath)) {
+          changedMdocs.add(filePath);
+        }
+      } else if (usedBy.get(filePath)?.size > 0) {
+        const affected = [...usedBy.get(filePath)].filter((mdocPath) =>
+          fs.existsSync(mdocPath)
+        );
+        for (const mdocPath of affected) {
+          changedMdocs.add(mdocPath);
+        }
+        console.log(
+          `Dependency changed: ${path.relative(rootDir, filePath)} -> ${affected.length} dependent file(s)`
+        );
+      }
+      // Deleted files will be handled by cleanupOrphans (and the ref check below)
+    }
+
+    pendingChanges.clear();
+
+    // Handle partial changes - find dependent mdoc files, including the
+    // ones that use the partial through other partials
+    if (changedPartials.size > 0) {
+      const dependencyMap = buildPartialDependencyMap(mdocFiles);
+
+      for (const partial of changedPartials) {
+        const dependents = dependencyMap.get(partial);
+        if (dependents) {
+          for (const dep of dependents) {
+            changedMdocs.add(dep);
+          }
+          console.log(
+            `Partial changed: ${path.relative(rootDir, partial)} -> ${dependents.size} dependent file(s)`
+          );
+        }
+      }
+    }
+
+    // Handle numbering changes - find documents that reference them
+    const newProjectIndex = buildProjectIndex(mdocFiles, nodeFs, config);
+    const changedTargets = findChangedRefTargets(projectIndex, newProjectIndex);
+    projectIndex = newProjectIndex;
+
+    if (changedTargets.size > 0) {
+      const crossRefMap = buildCrossRefDependencyMap(mdocFiles);
+
+      for (const target of changedTargets) {
+        const dependents = crossRefMap.get(target);
+        if (dependents) {
+          for (const dep of dependents) {
+            changedMdocs.add(dep);
+          }
+          console.log(
+            `References changed: ${path.relative(rootDir, target)} -> ${dependents.size} dependent file(s)`
+          );
+        }
+      }
+    }
+
+    // Also retry any pending errors (unless the file is gone)
+    for (const mdocPath of pendingErrors) {
+      if (fs.existsSync(mdocPath)) {
+        changedMdocs.add(mdocPath);
+      } else {
+        pendingErrors.delete(mdocPath);
+        previewErrors.delete(mdocPath);
+      }
+    }
+
+    // Render changed mdoc files
+    let successCount = 0;
+    let errorCount = 0;
+    const writtenMdocs = [];
+
+    for (const mdocPath of changedMdocs) {
+      try {
+        if (renderWatched(mdocPath)) {
+          successCount++;
+          pendingErrors.delete(mdocPath);
+          writtenMdocs.push(mdocPath);
+        } else {
+          errorCount++;
+          pendingErrors.add(mdocPath);
+        }
+      } catch (err) {
+        console.error(
+          `${RED}Error rendering ${mdocPath}: ${err.message}${RESET}`
+        );
+        errorCount++;
+        pendingErrors.add(mdocPath);
+      }
+    }
+
+    // Clean up orphaned .g.md files (deleted mdocs or any other orphans)
+    cleanupOrphans(config);
+    saveManifest(config, manifest);
+    updatePreview(writtenMdocs);
+
+    // Show status
+    if (changedMdocs.size > 0) {
+      if (pendingErrors.size === 0) {
+        console.log(`${GREEN}All ok${RESET}\n`);
+      } else {
+        console.log(
+          `${RED}${pendingErrors.size} file(s) pending (missing .g.md, errors or hand edits)${RESET}\n`
+        );
+      }
+    }
+  }
+
+  // Schedule processing with debounce
+  function scheduleProcessing() {
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    debounceTimer = setTimeout(() => {
+      processPendingChanges();
+      debounceTimer = null;
+    }, config.debounceMs);
+  }
+
+  // A directory appeared in the tree (created, or moved/renamed into it):
+  // watch it and render the templates in it
+  function addedDir(dir, watchGmd) {
+    if (!watchGmd && isIgnored(config, dir, true)) return;
+    watchDir(dir, watchGmd);
+    if (!watchGmd) {
+      for (const mdocPath of findMdocFiles(dir, config)) {
+        pendingChanges.add(mdocPath);
+      }
+    }
+    scheduleProcessing();
+  }
+
+  // A directory disappeared from the tree (deleted, or moved/renamed out of
+  // it): stop watching it and its subdirectories, and re-render documents
+  // that used files in it. Its templates' outputs are orphans now.
+  function removedDir(dir) {
+    for (const [watchedDir, watcher] of watchers) {
+      if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+    for (const file of usedBy.keys()) {
+      if (file.startsWith(dir + path.sep)) {
+        pendingChanges.add(file);
+      }
+    }
+    scheduleProcessing();
+  }
+
+  // Watch a directory recursively
+  function watchDir(dir, watchGmd = false) {
+    if (watchers.has(dir)) return;
+    const outputDirName = path.basename(outputDir);
+
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) return;
+
+        const filePath = path.join(dir, filename);
+
+        // A changed ignore file changes which templates there are
+        if (dir === rootDir && filename === IGNORE_FILE) {
+          scheduleReload(IGNORE_FILE);
+          return;
+        }
+
+        // Handle .mdoc files and other files templates use (e.g. a layout)
+        if (filename.endsWith(".mdoc") || usedBy.has(filePath)) {
+          pendingChanges.add(filePath);
+          scheduleProcessing();
+        }
+
+        // Handle .g.md/.g.html file creation (for pending errors)
+        if (isGeneratedFile(filename) && pendingErrors.size > 0) {
+          scheduleProcessing();
+        }
+
+        if (eventType !== "rename") return;
+
+        // Handle new, renamed and deleted directories
+        if (
+          fs.existsSync(filePath) &&
+          fs.statSync(filePath).isDirectory() &&
+          !filename.startsWith(".") &&
+          filename !== "node_modules"
+        ) {
+          const isOutputDir = dir === rootDir && filename === outputDirName;
+          addedDir(filePath, isOutputDir || watchGmd);
+        } else if (!fs.existsSync(filePath) && watchers.has(filePath)) {
+          removedDir(filePath);
+        }
+      });
+
+      // The watcher of a deleted directory may error instead of its parent
+      // reporting the deletion
+      watcher.on("error", () => removedDir(dir));
+      watchers.set(dir, watcher);
+
+      // Watch subdirectories
+      const entries = fs.readdirSync(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          entry.name !== "node_modules"
+        ) {
+          const isOutputDir = dir === rootDir && entry.name === outputDirName;
+          const subdir = path.join(dir, entry.name);
+          if (isOutputDir || watchGmd) {
+            watchDir(subdir, true);
+          } else if (
+            entry.name !== outputDirName &&
+            !isIgnored(config, subdir, true)
+          ) {
+            watchDir(subdir);
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`${RED}Error watching ${dir}: ${err.message}${RESET}`);
+    }
+  }
+
+  // Watch a directory outside the template tree (not recursively) for
+  // changes to files templates depend on
+  function watchExternal(dir) {
+    if (externalWatchers.has(dir)) return;
+
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        const filePath = filename && path.join(dir, filename);
+        if (filePath && usedBy.has(filePath)) {
+          pendingChanges.add(filePath);
+          scheduleProcessing();
+        }
+      });
+      watcher.on("error", () => {
+        watcher.close();
+        externalWatchers.delete(dir);
+      });
+      externalWatchers.set(dir, watcher);
+    } catch {
+      // A missing directory means a missing partial, which is reported
+    }
+  }
+
+  // Stop all watchers (before a rebuild with a new config)
+  function closeWatchers() {
+    for (const watcher of [...watchers.values(), ...externalWatchers.values()]) {
+      watcher.close();
+    }
+    watchers.clear();
+    externalWatchers.clear();
+  }
+
+  // Render everything and start watching the tree
+  function build() {
+    // Initial build (but don't exit on error in watch mode)
+    const mdocFiles = findMdocFiles(rootDir, config);
+    manifest = loadManifest(config);
+
+    if (mdocFiles.length === 0) {
+      console.log("No .mdoc files found");
+    } else {
+      // Clean up orphaned .g.md files first
+      const deletedCount = cleanupOrphans(config);
+      if (deletedCount > 0) {
+        console.log();
+      }
+
+      projectIndex = buildProjectIndex(mdocFiles, nodeFs, config);
+
+      let successCount = 0;
+      const writtenMdocs = [];
+
+      for (const mdocPath of mdocFiles) {
+        if (renderWatched(mdocPath)) {
+          successCount++;
+          writtenMdocs.push(mdocPath);
+        } else {
+          pendingErrors.add(mdocPath);
+        }
+      }
+      saveManifest(config, manifest);
+      updatePreview(writtenMdocs);
+
+      if (pendingErrors.size === 0) {
+        console.log(`\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)`);
+      } else {
+        console.log(
+          `\n${RED}Rendered ${successCount} file(s), ${pendingErrors.size} error(s)${RESET}`
+        );
+      }
+    }
+
+    // Start watching (including output directory for .g.md creation)
+    watchDir(rootDir);
+  }
+
+  // Reload the config file (after it or the ignore file changed) and
+  // rebuild everything with it. A config with errors is reported and the
+  // current one is kept.
+  async function reloadConfig(changedName) {
+    let newConfig;
+    try {
+      [newConfig] = selectVariants(
+        await loadConfigFile(config.configPath),
+        config.variant
+      );
+    } catch (err) {
+      console.error(`${RED}Error reloading config: ${err.message}${RESET}\n`);
+      return;
+    }
+
+    console.log(`Config changed: ${changedName} - rebuilding\n`);
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+    }
+    closeWatchers();
+    pendingChanges.clear();
+    pendingErrors.clear();
+    previewErrors.clear();
+    renderedFrom.clear();
+    usedBy.clear();
+
+    config = newConfig;
+    rootDir = path.resolve(config.templatesDir);
+    outputDir = path.resolve(config.outputDir);
+    preview?.setConfig(config);
+
+    build();
+    console.log(`\nWatching for changes... (press Ctrl+C to stop)\n`);
+  }
+
+  // Reload the config after a debounce, as editors may save a file in steps
+  let reloadTimer = null;
+  function scheduleReload(changedName) {
+    if (!config.configPath) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(
+      () => reloadConfig(changedName),
+      config.debounceMs
+    );
+  }
+
+  build();
+
+  // Watch the config file through its directory, as editors often replace
+  // files instead of writing to them
+  if (config.configPath) {
+    const configDir = path.dirname(config.configPath);
+    const configName = path.basename(config.configPath);
+
+    fs.watch(configDir, (eventType, filename) => {
+      if (filename !== configName || !fs.existsSync(config.configPath)) return;
+      scheduleReload(configName);
+    });
+  }
+
+  console.log(`\nWatching for changes... (press Ctrl+C to stop)\n`);
+
+  if (preview) {
+    preview.server.on("error", (err) => {
+      console.error(`${RED}Error starting preview server: ${err.message}${RESET}`);
+    });
+    preview.server.listen(options.port, "localhost", () => {
+      console.log(`Preview at http://localhost:${options.port}/\n`);
+    });
+  }
+}
+
+// Render and write a single file, creating output files if needed (for push
+// mode); returns the render result (see renderFileReported) or false. Like
+// renderAndWrite, it doesn't overwrite outputs edited by hand.
+function renderAndWriteForce(config, mdocPath, projectIndex, rendered, guard) {
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(rootDir, mdocPath);
+
+  const result = renderFileReported(config, mdocPath, projectIndex, rendered);
+  if (result === null) {
+    console.error(`${RED}Error: ${relativePath} has errors, not written${RESET}`);
+    return false;
+  }
+  if (!checkHandEdits(config, mdocPath, result.outputs, guard)) {
+    return false;
+  }
+
+  for (const format of getOutputFormats(config, mdocPath)) {
+    const outputPath = getOutputPath(config, mdocPath, format);
+
+    // Create directory if needed
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const isNew = !fs.existsSync(outputPath);
+    const written = writeIfChanged(outputPath, result.outputs[format]);
+
+    if (isNew) {
+      console.log(
+        `${GREEN}Created:${RESET} ${relativePath} -> ${path.relative(rootDir, outputPath)}`
+      );
+    } else {
+      console.log(
+        `${relativePath} -> ${path.relative(rootDir, outputPath)}${written ? "" : " (unchanged)"}`
+      );
+    }
+  }
+  return result;
+}
+
+// Push mode - clean orphans and (re)create all .g.md files, or those selected
+// by options.paths; resolves to false on errors. Like render, unchanged
+// templates are skipped unless options.force is set.
+async function push(config, options = {}) {
+  const rootDir = path.resolve(config.templatesDir);
+
+  // Find all .mdoc files
+  const mdocFiles = findMdocFiles(rootDir, config);
+  const selection = selectTemplates(config, mdocFiles, options.paths);
+  if (!selection) return false;
+
+  // Clean up orphaned .g.md files first
+  const deletedCount = cleanupOrphans(config, selection.isSelected);
+  if (deletedCount > 0) {
+    console.log();
+  }
+
+  if (mdocFiles.length === 0) {
+    console.log("No .mdoc files found");
+    return true;
+  }
+
+  const projectIndex = buildProjectIndex(mdocFiles, nodeFs, config);
+  const build = startBuild(config, options);
+  const toRender = selection.files.filter((f) => !build.skip(f, projectIndex));
+  mdocFiles
+    .filter((f) => !selection.files.includes(f))
+    .forEach((f) => build.keep(f));
+  const rendered = await renderAll(config, toRender, projectIndex);
+  let successCount = 0;
+  let createdCount = 0;
+  let errorCount = 0;
+
+  for (const mdocPath of toRender) {
+    const isNew = getOutputFormats(config, mdocPath).some(
+      (format) => !fs.existsSync(getOutputPath(config, mdocPath, format))
+    );
+
+    try {
+      const result = renderAndWriteForce(
+        config,
+        mdocPath,
+        projectIndex,
+        rendered.get(mdocPath),
+        { force: options.force, manifest: build.previous }
+      );
+      if (result) {
+        successCount++;
+        if (isNew) createdCount++;
+        build.record(mdocPath, result, projectIndex);
+      } else {
+        errorCount++;
+        build.keep(mdocPath);
+      }
+    } catch (err) {
+      console.error(
+        `${RED}Error rendering ${path.relative(rootDir, mdocPath)}: ${err.message}${RESET}`
+      );
+      errorCount++;
+      build.keep(mdocPath);
+    }
+  }
+
+  build.save();
+
+  const created = createdCount > 0 ? `, created ${createdCount} new` : "";
+  const upToDate =
+    build.skippedCount > 0 ? `, ${build.skippedCount} up to date` : "";
+  if (errorCount > 0) {
+    console.log(
+      `\n${RED}Rendered ${successCount} file(s)${created}${upToDate}, ${errorCount} error(s)${RESET}`
+    );
+    return false;
+  } else {
+    console.log(
+      `\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)${created}${upToDate}`
+    );
+    return true;
+  }
+}
+
+// Check mode - verify all .g.md files are up to date without writing anything;
+// resolves to false if any are not
+async function check(config) {
+  const rootDir = path.resolve(config.templatesDir);
+  const mdocFiles = findMdocFiles(rootDir, config);
+  const projectIndex = buildProjectIndex(mdocFiles, nodeFs, config);
+  const rendered = await renderAll(config, mdocFiles, projectIndex);
+  const manifest = loadManifest(config);
+
+  let okCount = 0;
+  let problemCount = 0;
+
+  for (const mdocPath of mdocFiles) {
+    const relativePath = path.relative(rootDir, mdocPath);
+
+    const result = renderFileReported(
+      config,
+      mdocPath,
+      projectIndex,
+      rendered.get(mdocPath)
+    );
+    if (result === null) {
+      console.error(`${RED}Errors:${RESET} ${relativePath}`);
+      problemCount++;
+      continue;
+    }
+
+    for (const format of getOutputFormats(config, mdocPath)) {
+      const outputPath = getOutputPath(config, mdocPath, format);
+      const relativeOutput = path.relative(rootDir, outputPath);
+
+      const content = fs.existsSync(outputPath)
+        ? fs.readFileSync(outputPath, "utf-8")
+        : null;
+
+      if (content === null) {
+        console.error(`${RED}Missing:${RESET} ${relativePath} -> ${relativeOutput}`);
+        problemCount++;
+      } else if (content !== result.outputs[format]) {
+        const label = isEditedByHand(config, outputPath, content, manifest)
+          ? "Edited by hand"
+          : "Stale";
+        console.error(`${RED}${label}:${RESET} ${relativePath} -> ${relativeOutput}`);
+        problemCount++;
+      } else {
+        console.log(`${relativePath} -> ${relativeOutput}`);
+        okCount++;
+      }
+    }
+  }
+
+  // Orphaned generated files would be deleted by render/push
+  for (const genFile of findOrphans(config)) {
+    console.error(`${RED}Orphaned:${RESET} ${path.relative(rootDir, genFile)}`);
+    problemCount++;
+  }
+
+  if (problemCount > 0) {
+    console.log(
+      `\n${RED}${okCount} file(s) up to date, ${problemCount} problem(s)${RESET} - Run 'mdr push' to update`
+    );
+    return false;
+  } else {
+    console.log(`\n${GREEN}All ok${RESET} - Checked ${okCount} file(s)`);
+    return true;
+  }
+}
+
+// Recursively find hand-written Markdown files (not generated ones) that may
+// link to generated files
+function findMarkdownFiles(dir, files = []) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== "node_modules" && !entry.name.startsWith(".")) {
+        findMarkdownFiles(fullPath, files);
+      }
+    } else if (
+      entry.isFile() &&
+      entry.name.endsWith(".md") &&
+      !isGeneratedFile(entry.name)
+    ) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Rename mode - move a template (or partial) and its outputs, and update
+// what refers to it: partial and toc files, cross-document refs and links in
+// other templates, and links to its outputs in Markdown files under the
+// current directory. With options.dryRun, only reports what would change.
+// Resolves to false on errors.
+async function rename(config, from, to, options = {}) {
+  const rootDir = path.resolve(config.templatesDir);
+  const oldPath = path.resolve(from);
+  const newPath = path.resolve(to);
+  const isInTemplates = (filePath) => filePath.startsWith(rootDir + path.sep);
+
+  let error = null;
+  if (!oldPath.endsWith(".mdoc") || !newPath.endsWith(".mdoc")) {
+    error = "Both paths must be .mdoc files";
+  } else if (oldPath.endsWith(".p.mdoc") !== newPath.endsWith(".p.mdoc")) {
+    error = "A partial must stay a partial (.p.mdoc) and a template a template";
+  } else if (!fs.existsSync(oldPath)) {
+    error = `${from} does not exist`;
+  } else if (fs.existsSync(newPath)) {
+    error = `${to} already exists`;
+  } else if (!isInTemplates(oldPath) || !isInTemplates(newPath)) {
+    error = `Both paths must be inside ${path.relative(process.cwd(), rootDir) || "."}`;
+  }
+  if (error) {
+    console.error(`${RED}Error: ${error}${RESET}`);
+    return false;
+  }
+
+  const dryRun = options.dryRun;
+  const relative = (filePath) => path.relative(rootDir, filePath);
+  const writes = new Map(); // path -> new content
+
+  // Templates and partials (of any variant) that refer to the file, and the
+  // file itself, whose own relative references change when it moves to
+  // another directory
+  const variants = selectVariants(config);
+  const sourceFiles = new Set(
+    variants.flatMap((variantConfig) =>
+      findMdocFiles(rootDir, variantConfig, { partials: true })
+    )
+  );
+  for (const filePath of [...sourceFiles].sort()) {
+    const { source, count } = rewriteTemplateReferences(
+      fs.readFileSync(filePath, "utf-8"),
+      filePath,
+      filePath === oldPath ? newPath : filePath,
+      oldPath,
+      newPath
+    );
+    if (count > 0) {
+      writes.set(filePath, source);
+      console.log(
+        `${dryRun ? "Would update" : "Updated"}: ${relative(filePath)} (${count} reference(s))`
+      );
+    }
+  }
+
+  // Outputs in each variant move along (under the same format, even if
+  // templateFormats would pick another one for the new path; the render
+  // below fixes that)
+  const outputMoves = [];
+  if (!oldPath.endsWith(".p.mdoc")) {
+    for (const variantConfig of variants) {
+      for (const format of getOutputFormats(variantConfig, oldPath)) {
+        const oldOutput = getOutputPath(variantConfig, oldPath, format);
+        if (fs.existsSync(oldOutput)) {
+          outputMoves.push([
+            path.resolve(oldOutput),
+            path.resolve(getOutputPath(variantConfig, newPath, format)),
+            path.resolve(variantConfig.outputDir),
+          ]);
+        }
+      }
+    }
+  }
+
+  // Hand-written Markdown files that link to the outputs
+  for (const filePath of findMarkdownFiles(process.cwd())) {
+    let source = fs.readFileSync(filePath, "utf-8");
+    const lines = [];
+    for (const [oldOutput, newOutput] of outputMoves) {
+      const result = rewriteMarkdownLinks(
+        source,
+        filePath,
+        oldOutput,
+        newOutput
+      );
+      source = result.source;
+      lines.push(...result.lines);
+    }
+    for (const line of lines.sort((a, b) => a - b)) {
+      console.log(
+        `${dryRun ? "Would update" : "Updated"}: ${relative(filePath)}:${line} (link)`
+      );
+    }
+    if (lines.length > 0) writes.set(filePath, source);
+  }
+
+  for (const [oldFile, newFile] of [[oldPath, newPath], ...outputMoves]) {
+    console.log(
+      `${dryRun ? "Would move" : "Moved"}: ${relative(oldFile)} -> ${relative(newFile)}`
+    );
+  }
+
+  if (dryRun) {
+    console.log(`\n${YELLOW}Dry run${RESET} - No files were changed`);
+    return true;
+  }
+
+  for (const [filePath, source] of writes) {
+    fs.writeFileSync(filePath, source);
+  }
+  fs.mkdirSync(path.dirname(newPath), { recursive: true });
+  fs.renameSync(oldPath, newPath);
+  for (const [oldOutput, newOutput, outputDir] of outputMoves) {
+    fs.mkdirSync(path.dirname(newOutput), { recursive: true });
+    fs.renameSync(oldOutput, newOutput);
+    removeEmptyDirs(path.dirname(oldOutput), outputDir);
+  }
+
+  // Re-render, so that outputs reflect the updated references
+  let ok = true;
+  for (const variantConfig of variants) {
+    console.log();
+    if (variantConfig.variant) {
+      const { variant, outputDir } = variantConfig;
+      const relativeDir = path.relative(process.cwd(), outputDir);
+      console.log(`Variant: ${variant} (${relativeDir})\n`);
+    }
+    ok = (await render(variantConfig)) && ok;
+  }
+  return ok;
+}
+
+module.exports = { render, watch, push, check, rename };
@@ -0,0 +1,338 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// Config files looked for in the current directory, in this order
+const CONFIG_FILES = [
+  "mdr.config.js",
+  "mdr.config.mjs",
+  "mdr.config.cjs",
+  "mdr.config.json",
+];
+
+// Config options and the types they accept
+const OPTIONS = {
+  templatesDir: ["string"],
+  outputDir: ["string"],
+  ignore: ["string[]"],
+  debounceMs: ["number"],
+  format: ["string", "string[]"],
+  templateFormats: ["object"],
+  layout: ["string"],
+  frontmatter: ["boolean", "string[]", "function"],
+  header: ["boolean"],
+  listRefStyle: ["string", "function"],
+  captions: ["object"],
+  manifest: ["string", "false"],
+  workers: ["number"],
+  variables: ["object"],
+  variants: ["array"],
+  tags: ["object"],
+  nodes: ["object"],
+  functions: ["object"],
+  renderers: ["object"],
+};
+
+// Output formats, for format and templateFormats
+const FORMATS = ["md", "html"];
+
+// Options of a build variant
+const VARIANT_OPTIONS = {
+  name: ["string"],
+  outputDir: ["string"],
+  variables: ["object"],
+  ignore: ["string[]"],
+};
+
+// Options of caption numbering
+const CAPTION_OPTIONS = {
+  chapterLevel: ["number"],
+  labels: ["object"],
+};
+
+// Find the config file in a directory; returns its path or null
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILES) {
+    const configPath = path.join(dir, name);
+    if (fs.existsSync(configPath)) return configPath;
+  }
+  return null;
+}
+
+// Apply defaults to a loaded config. configPath is kept so that worker
+// threads can load the same config (with its plugins), and paths are
+// resolved relative to the config file.
+function resolveConfig(config, configPath) {
+  const resolvePath = (filePath) =>
+    filePath && configPath
+      ? path.resolve(path.dirname(configPath), filePath)
+      : filePath;
+
+  return {
+    configPath,
+    templatesDir: resolvePath(config.templatesDir),
+    outputDir: resolvePath(config.outputDir),
+    ignore: config.ignore || [],
+    debounceMs: config.debounceMs ?? 100,
+    format: config.format || "md",
+    templateFormats: config.templateFormats || {},
+    layout: resolvePath(config.layout),
+    frontmatter: config.frontmatter ?? false,
+    header: config.header ?? false,
+    listRefStyle: config.listRefStyle ?? "1.1",
+    captions: config.captions || {},
+    manifest: resolvePath(config.manifest ?? ".mdr-manifest.json"),
+    // os.availableParallelism() is new in Node 18.14
+    workers:
+      config.workers ??
+      (os.availableParallelism ? os.availableParallelism() : os.cpus().length),
+    variables: config.variables || {},
+    variants: (config.variants || []).map((variant) => ({
+      ...variant,
+      outputDir: resolvePath(variant.outputDir),
+    })),
+    variant: null,
+    tags: config.tags || {},
+    nodes: config.nodes || {},
+    functions: config.functions || {},
+    renderers: config.renderers || {},
+  };
+}
+
+// Check a value against a type of OPTIONS
+function matchesType(value, type) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "false":
+      return value === false;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Edit distance between two strings, for "did you mean" suggestions
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Hint at the known name closest to a mistyped one, like " (did you mean
+// 'outputDir'?)", or "" if none is close
+function suggestName(name, known) {
+  const [suggestion] = known
+    .map((knownName) => ({
+      name: knownName,
+      distance: editDistance(name.toLowerCase(), knownName.toLowerCase()),
+    }))
+    .filter(({ name, distance }) => distance <= Math.max(2, name.length / 3))
+    .sort((a, b) => a.distance - b.distance);
+  return suggestion ? ` (did you mean '${suggestion.name}'?)` : "";
+}
+
+// Check the options of a config (or variant) against a schema; returns a
+// list of problems
+function validateOptions(options, schema, prefix = "") {
+  const problems = [];
+  const known = Object.keys(schema);
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!schema[key]) {
+      const hint = suggestName(key, known);
+      problems.push(`Unknown option '${prefix}${key}'${hint}`);
+    } else if (
+      value !== undefined &&
+      !schema[key].some((type) => matchesType(value, type))
+    ) {
+      const got = Array.isArray(value)
+        ? "array"
+        : value === null
+          ? "null"
+          : typeof value;
+      problems.push(
+        `'${prefix}${key}' must be ${schema[key].join(" or ")} (got ${got})`
+      );
+    }
+  }
+  return problems;
+}
+
+// Check the formats of an option (a format or a list of them); returns a
+// list of problems
+function validateFormats(value, option) {
+  const formats = Array.isArray(value) ? value : [value];
+  return formats
+    .filter((format) => typeof format === "string")
+    .filter((format) => !FORMATS.includes(format))
+    .map((format) => {
+      const hint = suggestName(format, FORMATS);
+      return `Unknown format '${format}' in '${option}'${hint}`;
+    });
+}
+
+// Validate a loaded config; returns a list of problems
+function validateConfig(config) {
+  if (!matchesType(config, "object")) {
+    return ["The config must be an object"];
+  }
+
+  const problems = validateOptions(config, OPTIONS);
+  const variants = Array.isArray(config.variants) ? config.variants : [];
+
+  // With variants, each variant has its own outputDir
+  const required = variants.length > 0 ? [] : ["outputDir"];
+  for (const key of ["templatesDir", ...required]) {
+    if (!config[key]) problems.push(`'${key}' is required`);
+  }
+
+  if (config.format !== undefined) {
+    problems.push(...validateFormats(config.format, "format"));
+  }
+  if (matchesType(config.templateFormats, "object")) {
+    for (const [pattern, value] of Object.entries(config.templateFormats)) {
+      const option = `templateFormats.${pattern}`;
+      if (matchesType(value, "string") || matchesType(value, "string[]")) {
+        problems.push(...validateFormats(value, option));
+      } else {
+        problems.push(`'${option}' must be string or string[]`);
+      }
+    }
+  }
+
+  if (matchesType(config.captions, "object")) {
+    problems.push(
+      ...validateOptions(config.captions, CAPTION_OPTIONS, "captions.")
+    );
+  }
+
+  const names = new Set();
+  variants.forEach((variant, i) => {
+    if (!matchesType(variant, "object")) {
+      problems.push(`'variants[${i}]' must be object`);
+      return;
+    }
+    problems.push(
+      ...validateOptions(variant, VARIANT_OPTIONS, `variants[${i}].`)
+    );
+    for (const key of ["name", "outputDir"]) {
+      if (!variant[key]) problems.push(`'variants[${i}].${key}' is required`);
+    }
+    if (names.has(variant.name)) {
+      problems.push(`Duplicate variant '${variant.name}'`);
+    }
+    names.add(variant.name);
+  });
+  return problems;
+}
+
+// Load what a config file exports: JSON, a CommonJS module or an ES module
+// (.mjs, or .js in a "type": "module" package). A config file read before
+// is read again.
+async function importConfig(configPath) {
+  if (configPath.endsWith(".json")) {
+    try {
+      return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    } catch (err) {
+      throw new Error(`${path.basename(configPath)}: ${err.message}`);
+    }
+  }
+
+  if (!configPath.endsWith(".mjs")) {
+    try {
+      delete require.cache[require.resolve(configPath)];
+      const exported = require(configPath);
+      // Newer Node versions can require() ES modules, which gives their
+      // namespace
+      return exported?.[Symbol.toStringTag] === "Module"
+        ? exported.default
+        : exported;
+    } catch (err) {
+      const esmErrors = ["ERR_REQUIRE_ESM", "ERR_REQUIRE_ASYNC_MODULE"];
+      if (!esmErrors.includes(err.code)) throw err;
+    }
+  }
+
+  // The query makes import() load the file again instead of its cached module
+  const url = `${pathToFileURL(configPath).href}?t=${Date.now()}`;
+  return (await import(url)).default;
+}
+
+// Load a config file (again, if it was loaded before), validate it and apply
+// defaults. The file may export the config or a (possibly async) function
+// returning it. Rejects if it can't be loaded or is invalid.
+async function loadConfigFile(configPath) {
+  configPath = path.resolve(configPath);
+  let config = await importConfig(configPath);
+  if (typeof config === "function") {
+    config = await config();
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    const configName = path.basename(configPath);
+    throw new Error(
+      `Invalid ${configName}:\n${problems.map((p) => `  ${p}`).join("\n")}`
+    );
+  }
+  return resolveConfig(config, configPath);
+}
+
+// Get the configs of the build variants to process: all of them, or the one
+// called name. A variant has its own outputDir and manifest, its variables
+// override the global ones and its ignore rules add to them. A config without
+// variants is its own single variant. Throws for an unknown variant name.
+function selectVariants(config, name) {
+  if (config.variants.length === 0) {
+    if (name) {
+      throw new Error(`Unknown variant '${name}' (no variants configured)`);
+    }
+    return [config];
+  }
+
+  const variants = name
+    ? config.variants.filter((variant) => variant.name === name)
+    : config.variants;
+  if (variants.length === 0) {
+    const known = config.variants.map((variant) => variant.name).join(", ");
+    throw new Error(`Unknown variant '${name}' (variants: ${known})`);
+  }
+
+  return variants.map((variant) => ({
+    ...config,
+    variant: variant.name,
+    outputDir: variant.outputDir,
+    variables: { ...config.variables, ...variant.variables },
+    ignore: [...config.ignore, ...(variant.ignore || [])],
+    // Keep a manifest per variant, e.g. .mdr-manifest.cloud.json
+    manifest:
+      config.manifest &&
+      config.manifest.replace(/(\.json)?$/, `.${variant.name}$1`),
+  }));
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  resolveConfig,
+  loadConfigFile,
+  validateConfig,
+  selectVariants,
+};
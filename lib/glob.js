@@ -0,0 +1,38 @@
+// Check if a path is a glob pattern rather than a plain path
+function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+// Convert a glob pattern to a regular expression that matches whole paths
+// with forward slashes: * and ? match within a path segment, ** any number of
+// segments and [...] (or [!...]) a character class
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i++;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && pattern.indexOf("]", i + 2) !== -1) {
+      const end = pattern.indexOf("]", i + 2);
+      const chars = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += chars.startsWith("!") ? `[^${chars.slice(1)}]` : `[${chars}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = { isGlob, globToRegExp };
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const { globToRegExp } = require("./glob.js");
+
+// Ignore file in templatesDir, with the same patterns as config.ignore
+const IGNORE_FILE = ".mdrignore";
+
+// Compile a gitignore-style pattern: "!" negates it, a trailing "/" makes it
+// match directories only, and a "/" at the start or in the middle anchors it
+// to templatesDir (otherwise it matches at any depth). Returns null for
+// blank lines and comments.
+function compilePattern(line) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith("#")) return null;
+
+  const negated = pattern.startsWith("!");
+  if (negated) pattern = pattern.slice(1);
+  // "\!" and "\#" start patterns with a literal "!" or "#"
+  else if (/^\\[!#]/.test(pattern)) pattern = pattern.slice(1);
+
+  const directoryOnly = pattern.endsWith("/");
+  if (directoryOnly) pattern = pattern.slice(0, -1);
+
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) pattern = pattern.slice(1);
+  if (!pattern) return null;
+
+  const regExp = globToRegExp(anchored ? pattern : `**/${pattern}`);
+  return { negated, directoryOnly, regExp };
+}
+
+// Create a matcher for a list of patterns; returns isIgnored(relativePath,
+// isDirectory) for paths relative to templatesDir with forward slashes. As
+// in git, the last matching pattern decides, and nothing inside an ignored
+// directory can be re-included.
+function createIgnoreMatcher(patterns) {
+  const rules = patterns.map(compilePattern).filter(Boolean);
+
+  const matches = (relativePath, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regExp.test(relativePath)) ignored = !rule.negated;
+    }
+    return ignored;
+  };
+
+  return (relativePath, isDirectory = false) => {
+    const segments = relativePath.split("/");
+    for (let i = 1; i < segments.length; i++) {
+      if (matches(segments.slice(0, i).join("/"), true)) return true;
+    }
+    return matches(relativePath, isDirectory);
+  };
+}
+
+// Matchers by config object, so that the ignore file is read once per
+// (re)loaded config
+const matchers = new WeakMap();
+
+// Check if a path should be ignored based on config.ignore and the ignore
+// file in templatesDir. Paths outside templatesDir are never ignored.
+function isIgnored(config, filePath, isDirectory = false) {
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(rootDir, path.resolve(filePath));
+  if (
+    !relativePath ||
+    relativePath === ".." ||
+    relativePath.startsWith(".." + path.sep)
+  ) {
+    return false;
+  }
+
+  if (!matchers.has(config)) {
+    const ignorePath = path.join(rootDir, IGNORE_FILE);
+    const filePatterns = fs.existsSync(ignorePath)
+      ? fs.readFileSync(ignorePath, "utf-8").split(/\r?\n/)
+      : [];
+    matchers.set(
+      config,
+      createIgnoreMatcher([...(config.ignore || []), ...filePatterns])
+    );
+  }
+  return matchers.get(config)(
+    relativePath.split(path.sep).join("/"),
+    isDirectory
+  );
+}
+
+module.exports = { IGNORE_FILE, isIgnored };
@@ -0,0 +1,9 @@
+// Programmatic API: render templates without writing files or exiting
+const {
+  renderTemplate,
+  buildProjectIndex,
+  nodeFs,
+  createMemoryFs,
+} = require("./render.js");
+
+module.exports = { renderTemplate, buildProjectIndex, nodeFs, createMemoryFs };
@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  getMdocPath,
+  getOutputFormats,
+  getOutputPath,
+  summarizeDocumentIndex,
+} = require("./render.js");
+const { version } = require("../package.json");
+
+const MANIFEST_VERSION = 1;
+
+// Hash a string (or null for a missing file)
+function hashContent(content) {
+  if (content === null) return null;
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Hash the config, including the source of plugin functions and the mdr
+// version, so that any change to them invalidates all outputs. The number of
+// workers and the other build variants don't affect outputs.
+function hashConfig(config) {
+  const { workers, variants, ...outputConfig } = config;
+  const json = JSON.stringify({ version, config: outputConfig }, (key, value) =>
+    typeof value === "function" ? String(value) : value
+  );
+  return hashContent(json);
+}
+
+// Create a file hasher that reads each file at most once per build
+function createFileHasher() {
+  const hashes = new Map();
+
+  return (filePath) => {
+    if (!hashes.has(filePath)) {
+      const content = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, "utf-8")
+        : null;
+      hashes.set(filePath, hashContent(content));
+    }
+    return hashes.get(filePath);
+  };
+}
+
+// Load the build manifest. Returns an empty one if there is none, it's from
+// another manifest version or the config changed.
+function loadManifest(config) {
+  const configHash = hashConfig(config);
+  const empty = { version: MANIFEST_VERSION, configHash, files: {} };
+  if (!config.manifest || !fs.existsSync(config.manifest)) return empty;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(config.manifest, "utf-8"));
+    if (
+      manifest.version !== MANIFEST_VERSION ||
+      manifest.configHash !== configHash
+    ) {
+      return empty;
+    }
+    return { ...empty, files: manifest.files || {} };
+  } catch {
+    // A corrupt manifest only costs a full build
+    return empty;
+  }
+}
+
+// Write the build manifest (unless it is disabled)
+function saveManifest(config, manifest) {
+  if (!config.manifest) return;
+  fs.mkdirSync(path.dirname(path.resolve(config.manifest)), { recursive: true });
+  fs.writeFileSync(config.manifest, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// Record a template's outputs ({ md, html } as written) and what they were
+// built from: the template and the files it used (partials, layout) by
+// content hash, and the documents it references by their index summary.
+// Paths are relative to templatesDir.
+function createManifestEntry(config, mdocPath, result, projectIndex, hashFile) {
+  const rootDir = path.resolve(config.templatesDir);
+  const { outputs, dependencies } = result;
+  const entry = { files: {}, documents: {}, outputs: {} };
+
+  for (const filePath of [mdocPath, ...dependencies]) {
+    const relativePath = path.relative(rootDir, filePath);
+    if (filePath !== mdocPath && projectIndex.has(filePath)) {
+      const summary = summarizeDocumentIndex(projectIndex.get(filePath));
+      entry.documents[relativePath] = hashContent(summary);
+    } else {
+      entry.files[relativePath] = hashFile(filePath);
+    }
+  }
+
+  for (const format of getOutputFormats(config, mdocPath)) {
+    const outputPath = getOutputPath(config, mdocPath, format);
+    entry.outputs[path.relative(rootDir, outputPath)] = hashContent(
+      outputs[format]
+    );
+  }
+  return entry;
+}
+
+// Check whether a template's outputs are still what its manifest entry
+// recorded, and everything they were built from is unchanged
+function isUpToDate(config, mdocPath, entry, projectIndex, hashFile) {
+  if (!entry) return false;
+  const rootDir = path.resolve(config.templatesDir);
+  const resolve = (relativePath) => path.resolve(rootDir, relativePath);
+
+  const outputs = getOutputFormats(config, mdocPath).map((format) =>
+    path.relative(rootDir, getOutputPath(config, mdocPath, format))
+  );
+  const recordedOutputs = Object.keys(entry.outputs || {});
+  if (
+    outputs.length !== recordedOutputs.length ||
+    outputs.some((output) => !recordedOutputs.includes(output))
+  ) {
+    return false;
+  }
+
+  const filesMatch = (hashes) =>
+    Object.entries(hashes || {}).every(
+      ([relativePath, hash]) =>
+        hash !== null && hashFile(resolve(relativePath)) === hash
+    );
+  if (!filesMatch(entry.outputs)) return false;
+
+  // Missing partials are errors, so a recorded null hash can't be up to date
+  if (!filesMatch(entry.files)) return false;
+
+  return Object.entries(entry.documents || {}).every(([relativePath, hash]) => {
+    const index = projectIndex.get(resolve(relativePath));
+    return index && hashContent(summarizeDocumentIndex(index)) === hash;
+  });
+}
+
+// Check whether an output file's content differs from what the manifest
+// recorded when mdr wrote it; false if the manifest has no record of it
+function differsFromManifest(config, manifest, outputPath, content) {
+  const rootDir = path.resolve(config.templatesDir);
+  const key = path.relative(rootDir, getMdocPath(config, outputPath));
+  const outputs = manifest.files[key]?.outputs || {};
+  const recorded = outputs[path.relative(rootDir, outputPath)];
+  return Boolean(recorded) && recorded !== hashContent(content);
+}
+
+module.exports = {
+  createFileHasher,
+  createManifestEntry,
+  differsFromManifest,
+  isUpToDate,
+  loadManifest,
+  saveManifest,
+};
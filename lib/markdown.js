@@ -0,0 +1,506 @@
+// Markdown serializer for Markdoc's rendered tree. The output is meant to
+// parse back to the same structure under CommonMark/GFM, so text is escaped,
+// code fences are sized to their content and container blocks (blockquotes,
+// list items) prefix every line of their rendered children.
+
+// Block-level tags of the rendered tree; other known tags are inline
+const BLOCK_TAGS = new Set([
+  "p",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+  "pre",
+  "hr",
+  "ol",
+  "ul",
+  "li",
+  "table",
+  "figure",
+  "figcaption",
+]);
+const INLINE_TAGS = new Set(["strong", "em", "s", "code", "a", "img", "br"]);
+const TABLE_TAGS = new Set(["thead", "tbody", "tr", "th", "td"]);
+
+// Marks already rendered Markdown inside a run of inline content
+const RAW = Symbol("raw");
+
+// Stands in for rendered Markdown in a paragraph (see renderParagraph)
+const RAW_PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+// Create a GitHub-compatible slug generator (duplicates get -1, -2, ...)
+function createSlugger() {
+  const occurrences = new Map();
+
+  return (text) => {
+    const base = text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+      .replace(/ /g, "-");
+
+    let slug = base;
+    while (occurrences.has(slug)) {
+      occurrences.set(base, occurrences.get(base) + 1);
+      slug = `${base}-${occurrences.get(base)}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+}
+
+// Extract the plain text of a rendered tree
+function plainText(node) {
+  if (node === null || node === undefined) return "";
+  if (Array.isArray(node)) return node.map(plainText).join("");
+  if (typeof node === "object") return plainText(node.children || []);
+  return String(node);
+}
+
+// Check if a character is a letter or digit (for intraword underscores)
+function isWordChar(char) {
+  return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
+
+// Escape text so that Markdown syntax characters render literally
+function escapeText(text) {
+  return text
+    .replace(/[\\`*[\]<|~]/g, "\\$&")
+    .replace(/&(?=#?\w+;)/g, "\\&")
+    .replace(/_/g, (match, offset, str) =>
+      isWordChar(str[offset - 1]) && isWordChar(str[offset + 1]) ? "_" : "\\_"
+    );
+}
+
+// Escape characters that would start a block (heading, quote, list, setext
+// underline) at the beginning of a paragraph line
+function escapeLineStart(line) {
+  return line
+    .replace(/^[#>+\-=]/, "\\$&")
+    .replace(/^(\d{1,9})([.)])/, "$1\\$2");
+}
+
+// Length of the longest run of backticks in a string
+function longestBacktickRun(text) {
+  const runs = text.match(/`+/g) || [];
+  return Math.max(0, ...runs.map((run) => run.length));
+}
+
+// Inline code, with a fence longer than any backtick run in the code
+function codeSpan(code, context) {
+  if (context.inTable) code = code.replace(/\|/g, "\\|");
+  const fence = "`".repeat(longestBacktickRun(code) + 1);
+  const needsPadding =
+    /^`|`$/.test(code) || (/^ [\s\S]* $/.test(code) && code.trim() !== "");
+  const pad = needsPadding ? " " : "";
+  return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+// Fenced code block, with a fence longer than any backtick run in the code
+function codeFence(code, language) {
+  const fence = "`".repeat(Math.max(3, longestBacktickRun(code) + 1));
+  const body = code === "" || code.endsWith("\n") ? code : `${code}\n`;
+  return `${fence}${language}\n${body}${fence}`;
+}
+
+// Wrap inline content in a delimiter, keeping surrounding whitespace outside
+// so that the delimiters stay left/right-flanking
+function wrapInline(delimiter, content) {
+  const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  if (!core) return content;
+  return `${leading}${delimiter}${core}${delimiter}${trailing}`;
+}
+
+// Link destination and optional title
+function linkTarget(href, title) {
+  let destination = href || "";
+  if (destination === "" || /[\s()<>]/.test(destination)) {
+    destination = `<${destination.replace(/[<>\n]/g, encodeURIComponent)}>`;
+  }
+  const titlePart = title ? ` "${title.replace(/["\\]/g, "\\$&")}"` : "";
+  return `(${destination}${titlePart})`;
+}
+
+// Prefix the first line of a block and indent the rest (blank lines stay
+// blank). Used for list items.
+function prefixLines(text, first, rest) {
+  if (text === "") return first.trimEnd();
+
+  const lines = text.split("\n");
+  // A thematic break right after a list marker would read as one
+  const breakFirst = /^ {0,3}([-*_])( *\1){2,} *$/.test(lines[0]);
+  return lines
+    .map((line, i) => {
+      if (i === 0 && !breakFirst) return first + line;
+      if (i === 0) return `${first.trimEnd()}\n${rest}${line}`;
+      return line ? rest + line : "";
+    })
+    .join("\n");
+}
+
+// Call a renderer from mdr.config.js for a node
+function renderCustom(renderer, node, context) {
+  const children = node.children || [];
+  return renderer(node, {
+    context,
+    renderChildren: (ctx = context) =>
+      expandChildren(children, ctx).some((c) => isBlock(c, ctx))
+        ? renderBlocks(children, ctx)
+        : renderInline(children, ctx),
+    render: (child, ctx = context) => renderToMarkdown(child, ctx),
+  });
+}
+
+// Check if an (expanded) child is a block
+function isBlock(node, context) {
+  if (node?.[RAW] !== undefined) return node.block;
+  return typeof node === "object" && node !== null && BLOCK_TAGS.has(node.name);
+}
+
+// Flatten arrays and transparent wrappers (the document, partials, unknown
+// tags) and run custom renderers, so that a children list only contains
+// text, known tags and rendered Markdown
+function expandChildren(children, context, result = []) {
+  for (const child of children) {
+    if (child === null || child === undefined || child === false) continue;
+
+    if (Array.isArray(child)) {
+      expandChildren(child, context, result);
+      continue;
+    }
+    // Text and already rendered Markdown stay as they are
+    if (typeof child !== "object" || child[RAW] !== undefined) {
+      result.push(child);
+      continue;
+    }
+
+    const renderer = context.renderers?.[child.name];
+    if (renderer) {
+      const output = renderCustom(renderer, child, context);
+      result.push({ [RAW]: output, block: output.endsWith("\n") });
+    } else if (
+      child.name === "p" &&
+      (child.children || []).some((c) => c?.name === "li")
+    ) {
+      // Markdoc wraps {% li %} tags in a paragraph; keep only the items
+      expandChildren(
+        child.children.filter(
+          (c) => c?.name === "li" || c?.name === "ol" || c?.name === "ul"
+        ),
+        context,
+        result
+      );
+    } else if (
+      child.name === "p" &&
+      (child.children || []).some((c) => c?.name === "figure")
+    ) {
+      // A figure written inline is still a block; split the paragraph
+      expandChildren(child.children, context, result);
+    } else if (
+      BLOCK_TAGS.has(child.name) ||
+      INLINE_TAGS.has(child.name) ||
+      TABLE_TAGS.has(child.name)
+    ) {
+      result.push(child);
+    } else {
+      expandChildren(child.children || [], context, result);
+    }
+  }
+  return result;
+}
+
+// Render inline content
+function renderInline(children, context) {
+  return expandChildren(children, context)
+    .map((node) => renderInlineNode(node, context))
+    .join("");
+}
+
+// Render a single inline node
+function renderInlineNode(node, context) {
+  if (node?.[RAW] !== undefined && context.raw) {
+    context.raw.push(node[RAW]);
+    return `\u0000${context.raw.length - 1}\u0000`;
+  }
+  if (node?.[RAW] !== undefined) return node[RAW];
+  if (typeof node !== "object") return escapeText(String(node));
+
+  const { name, attributes = {}, children = [] } = node;
+  switch (name) {
+    case "strong":
+      return wrapInline("**", renderInline(children, context));
+    case "em":
+      return wrapInline("*", renderInline(children, context));
+    case "s":
+      return wrapInline("~~", renderInline(children, context));
+    case "code":
+      return codeSpan(plainText(children), context);
+    case "a":
+      return `[${renderInline(children, context)}]${linkTarget(attributes.href, attributes.title)}`;
+    case "img":
+      return `![${escapeText(attributes.alt || "")}]${linkTarget(attributes.src, attributes.title)}`;
+    case "br":
+      if (context.inTable) return "<br>";
+      return context.inHeading ? " " : "\\\n";
+
+    // Block tags in inline position (e.g. a list inside a table cell)
+    default:
+      return renderInline(children, context);
+  }
+}
+
+// Render a paragraph of inline content (empty string if there is none)
+function renderParagraph(run, context) {
+  // Leading and trailing line breaks or whitespace don't survive in Markdown
+  const isBlank = (node) =>
+    node?.name === "br" || (typeof node === "string" && !node.trim());
+  let start = 0;
+  let end = run.length;
+  while (start < end && isBlank(run[start])) start++;
+  while (end > start && isBlank(run[end - 1])) end--;
+
+  // Output of custom renderers is used as-is: placeholders stand in for it
+  // while the lines are trimmed and escaped (see renderInlineNode)
+  const raw = [];
+  let text = renderInline(run.slice(start, end), { ...context, raw })
+    .trim()
+    .split("\n")
+    .map((line) => escapeLineStart(line.trimStart()))
+    .join("\n");
+  // Rendered Markdown can contain placeholders of its own
+  for (let previous; text !== previous; ) {
+    previous = text;
+    text = text.replace(RAW_PLACEHOLDER, (match, i) => raw[i] ?? match);
+  }
+  return text.replace(/\n+$/, "");
+}
+
+// Render children as a sequence of blocks; runs of inline content become
+// paragraphs. Blocks are separated by a blank line (or a newline in tight
+// list items).
+function renderBlocks(children, context, separator = "\n\n") {
+  const blocks = [];
+  let run = [];
+  let items = [];
+
+  const flushRun = () => {
+    const text = renderParagraph(run, context);
+    if (text) blocks.push({ text, name: "p" });
+    run = [];
+  };
+  // Stray list items (not in an ol/ul) become a bullet list
+  const flushItems = () => {
+    if (items.length > 0) addBlock({ name: "ul", attributes: {}, children: items });
+    items = [];
+  };
+  const addBlock = (node) => {
+    const previous = blocks[blocks.length - 1];
+    if (node[RAW] !== undefined) {
+      blocks.push({ text: node[RAW].replace(/\n+$/, ""), name: null });
+      return;
+    }
+
+    // Adjacent lists of the same type would merge, so alternate markers
+    const alt =
+      previous?.name === node.name && (node.name === "ol" || node.name === "ul")
+        ? !previous.alt
+        : false;
+    const text = renderBlock(node, context, alt);
+    if (text !== "") blocks.push({ text, name: node.name, alt });
+  };
+
+  for (const child of expandChildren(children, context)) {
+    if (child?.name === "li") {
+      flushRun();
+      items.push(child);
+    } else if (isBlock(child, context)) {
+      flushRun();
+      flushItems();
+      addBlock(child);
+    } else if (items.length === 0 || (typeof child === "string" && !child.trim())) {
+      if (items.length === 0) run.push(child);
+    } else {
+      flushItems();
+      run.push(child);
+    }
+  }
+  flushRun();
+  flushItems();
+
+  return blocks
+    .map((block, i) => {
+      if (i === 0) return block.text;
+
+      // An ordered list only interrupts a paragraph if it starts at 1
+      const interrupts =
+        block.name === "ol" &&
+        blocks[i - 1].name === "p" &&
+        !/^1[.)]/.test(block.text);
+      return (interrupts ? "\n\n" : separator) + block.text;
+    })
+    .join("");
+}
+
+// Render a single block node (without trailing newline)
+function renderBlock(node, context, alt = false) {
+  const { name, attributes = {}, children = [] } = node;
+
+  switch (name) {
+    case "p":
+      return renderParagraph(children, context);
+
+    // Headings (explicit anchor if the id differs from GitHub's slug)
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6": {
+      const hashes = "#".repeat(Number(name[1]));
+      const slug = context.slugger(plainText(children));
+      const anchor =
+        attributes.id && attributes.id !== slug
+          ? `<a id="${attributes.id}"></a>`
+          : "";
+      const text = renderInline(children, { ...context, inHeading: true })
+        .trim()
+        // A trailing #-sequence would be read as a closing sequence
+        .replace(/(^|\s)(#+)$/, "$1\\$2");
+      return `${hashes} ${anchor}${text}`.trimEnd();
+    }
+
+    case "blockquote":
+      return renderBlocks(children, context)
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+
+    // Code blocks (Markdoc puts the code directly in pre, but accept a
+    // pre > code structure too)
+    case "pre": {
+      const codeChild = children.find((c) => c?.name === "code");
+      const language =
+        attributes["data-language"] ||
+        codeChild?.attributes?.["data-language"] ||
+        "";
+      return codeFence(plainText(codeChild ? codeChild.children : children), language);
+    }
+
+    case "hr":
+      return "---";
+
+    case "ol":
+    case "ul":
+      return renderList(node, context, alt);
+
+    case "table":
+      return renderTable(node, context);
+
+    // Figures (numbered captions) have no Markdown syntax: their content
+    // and a caption paragraph, which gets the figure's anchor
+    case "figure":
+      return renderBlocks(children, {
+        ...context,
+        figureId: attributes.id,
+      });
+
+    case "figcaption": {
+      const anchor = context.figureId ? `<a id="${context.figureId}"></a>` : "";
+      return anchor + renderParagraph(children, context);
+    }
+
+    default:
+      return renderBlocks(children, context);
+  }
+}
+
+// Render an ordered or unordered list. Items that contain paragraphs make
+// the list loose (blank lines between items).
+function renderList(node, context, alt) {
+  const ordered = node.name === "ol";
+  const start = Number(node.attributes?.start ?? 1);
+
+  const items = [];
+  for (const child of expandChildren(node.children || [], context)) {
+    if (typeof child === "string" && !child.trim()) continue;
+    items.push(child?.name === "li" ? child : { name: "li", children: [child] });
+  }
+
+  const loose = items.some((item) =>
+    expandChildren(item.children || [], context).some((c) => c?.name === "p")
+  );
+
+  return items
+    .map((item, i) => {
+      const marker = ordered
+        ? `${start + i}${alt ? ")" : "."}`
+        : alt
+          ? "*"
+          : "-";
+      const body = renderBlocks(
+        item.children || [],
+        context,
+        loose ? "\n\n" : "\n"
+      );
+      return prefixLines(body, `${marker} `, " ".repeat(marker.length + 1));
+    })
+    .join(loose ? "\n\n" : "\n");
+}
+
+// Render a GFM table with column alignment
+function renderTable(node, context) {
+  const rows = [];
+  const collectRows = (nodes) => {
+    for (const child of expandChildren(nodes, context)) {
+      if (child?.name === "tr") {
+        rows.push(expandChildren(child.children || [], context).filter(
+          (c) => c?.name === "th" || c?.name === "td"
+        ));
+      } else if (typeof child === "object" && child?.children) {
+        collectRows(child.children);
+      }
+    }
+  };
+  collectRows(node.children || []);
+  if (rows.length === 0) return "";
+
+  const columnCount = Math.max(...rows.map((row) => row.length));
+  const cellText = (cell) =>
+    cell
+      ? renderInline(cell.children || [], { ...context, inTable: true })
+          .trim()
+          .replace(/\n/g, " ")
+      : "";
+  const renderRow = (row) =>
+    `| ${Array.from({ length: columnCount }, (_, i) => cellText(row[i])).join(" | ")} |`;
+
+  const separator = Array.from({ length: columnCount }, (_, i) => {
+    const align = rows[0][i]?.attributes?.align;
+    if (align === "left") return ":---";
+    if (align === "center") return ":---:";
+    if (align === "right") return "---:";
+    return "---";
+  });
+
+  return [
+    renderRow(rows[0]),
+    `| ${separator.join(" | ")} |`,
+    ...rows.slice(1).map(renderRow),
+  ].join("\n");
+}
+
+// Render a tree to Markdown. Renderers from mdr.config.js (keyed by the
+// rendered tag name) take precedence over the built-in ones; a renderer
+// whose output ends with a newline produces a block.
+function renderToMarkdown(
+  node,
+  context = { slugger: createSlugger(), renderers: {} }
+) {
+  const text = renderBlocks([node], context);
+  return text ? `${text}\n` : "";
+}
+
+module.exports = { renderToMarkdown, createSlugger, plainText };
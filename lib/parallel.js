@@ -0,0 +1,59 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { renderTemplate } = require("./render.js");
+
+// Render templates on a pool of config.workers threads. Resolves to a map of
+// mdoc path -> renderTemplate result; nothing is printed or written, so the
+// caller can report and write in a deterministic order. Renders in this
+// thread if there is only one worker or template, or no config file to load
+// in the workers.
+function renderAll(config, mdocFiles, projectIndex) {
+  const results = new Map();
+  const poolSize = Math.min(config.workers ?? 1, mdocFiles.length);
+
+  if (poolSize <= 1 || !config.configPath) {
+    for (const file of mdocFiles) {
+      results.set(file, renderTemplate({ ...config, file, projectIndex }));
+    }
+    return Promise.resolve(results);
+  }
+
+  return new Promise((resolve, reject) => {
+    const queue = [...mdocFiles];
+    const workers = [];
+    let remaining = mdocFiles.length;
+
+    const finish = (err) => {
+      for (const worker of workers) worker.terminate();
+      if (err) reject(err);
+      else resolve(results);
+    };
+
+    for (let i = 0; i < poolSize; i++) {
+      const worker = new Worker(path.join(__dirname, "worker.js"), {
+        workerData: {
+          configPath: config.configPath,
+          variant: config.variant,
+          projectIndex,
+        },
+      });
+      workers.push(worker);
+
+      // Hand out one template at a time so that slow ones don't hold up a
+      // whole batch
+      const next = () => {
+        if (queue.length > 0) worker.postMessage(queue.shift());
+      };
+      worker.on("message", ({ file, result }) => {
+        results.set(file, result);
+        remaining--;
+        if (remaining === 0) finish();
+        else next();
+      });
+      worker.on("error", finish);
+      next();
+    }
+  });
+}
+
+module.exports = { renderAll };
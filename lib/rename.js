@@ -0,0 +1,159 @@
+const Markdoc = require("@markdoc/markdoc");
+const path = require("path");
+const {
+  parseLinkTarget,
+  parseMdocHref,
+  parseRefSelector,
+} = require("./render.js");
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Relative path between files with forward slashes, keeping a leading "./"
+// if the original path had one
+function relativeLink(fromDir, toPath, original) {
+  const link = path.relative(fromDir, toPath).split(path.sep).join("/");
+  return original.startsWith("./") && !link.startsWith("../")
+    ? `./${link}`
+    : link;
+}
+
+// Collect the file paths a template or partial refers to, as written:
+// partial and toc files, cross-document liRef/captionRef/ref targets (kind
+// "string", written as quoted strings in tags) and Markdown links (kind
+// "link")
+function collectFileReferences(ast) {
+  const references = [];
+
+  function walkValue(value) {
+    if (Array.isArray(value)) {
+      value.forEach(walkValue);
+    } else if (value?.$$mdtype === "Function") {
+      const target = value.parameters?.[0];
+      const isRef = value.name === "liRef" || value.name === "captionRef";
+      if (isRef && typeof target === "string") {
+        const { file } = parseRefSelector(target);
+        if (file) references.push({ kind: "string", file });
+      }
+      if (value.name === "ref" && typeof target === "string") {
+        const { file } = parseLinkTarget(target);
+        if (file) references.push({ kind: "string", file });
+      }
+      Object.values(value.parameters || {}).forEach(walkValue);
+    }
+  }
+
+  function walk(node) {
+    if (!node || typeof node !== "object") return;
+
+    Object.values(node.attributes || {}).forEach(walkValue);
+
+    const file = node.attributes?.file;
+    if (
+      node.type === "tag" &&
+      (node.tag === "partial" || node.tag === "toc") &&
+      typeof file === "string"
+    ) {
+      references.push({ kind: "string", file });
+    }
+
+    const target = node.type === "link" && parseMdocHref(node.attributes.href);
+    if (target) {
+      // Keep the href as written (it may be URL-encoded)
+      const href = node.attributes.href;
+      const hashIndex = href.indexOf("#");
+      references.push({
+        kind: "link",
+        file: hashIndex === -1 ? href : href.slice(0, hashIndex),
+        path: parseLinkTarget(target).file,
+      });
+    }
+
+    for (const child of node.children || []) {
+      walk(child);
+    }
+  }
+
+  walk(ast);
+  return references;
+}
+
+// Rewrite the references of a template or partial for a file move
+// (oldPath -> newPath). filePath is where the source is now and
+// newFilePath where it will be (they differ for the moved file itself, whose
+// other relative references change too). Returns { source, count }.
+function rewriteTemplateReferences(
+  source,
+  filePath,
+  newFilePath,
+  oldPath,
+  newPath
+) {
+  const baseDir = path.dirname(filePath);
+  const newBaseDir = path.dirname(newFilePath);
+  const replacements = new Map(); // "kind:file" -> { kind, file, replacement }
+
+  for (const reference of collectFileReferences(Markdoc.parse(source))) {
+    const resolved = path.resolve(baseDir, reference.path ?? reference.file);
+    const target = resolved === oldPath ? newPath : resolved;
+    if (target === resolved && baseDir === newBaseDir) continue;
+
+    let replacement = relativeLink(newBaseDir, target, reference.file);
+    if (reference.kind === "link") replacement = encodeURI(replacement);
+    if (replacement !== reference.file) {
+      replacements.set(`${reference.kind}:${reference.file}`, {
+        ...reference,
+        replacement,
+      });
+    }
+  }
+
+  let count = 0;
+  for (const { kind, file, replacement } of replacements.values()) {
+    const replace = (text, pattern) =>
+      text.replace(pattern, (match, prefix) => {
+        count++;
+        return prefix + replacement;
+      });
+
+    if (kind === "link") {
+      const pattern = `(\\]\\(\\s*<?)${escapeRegExp(file)}(?=[#)>\\s])`;
+      source = replace(source, new RegExp(pattern, "g"));
+    } else {
+      // Quoted strings, only inside {% %} tags
+      const pattern = new RegExp(`(")${escapeRegExp(file)}(?=["#\\s])`, "g");
+      source = source.replace(/\{%[\s\S]*?%\}/g, (tag) => replace(tag, pattern));
+    }
+  }
+  return { source, count };
+}
+
+// Find Markdown links (inline and reference definitions) in a Markdown file
+// that point at oldOutput, and rewrite them to newOutput. Returns
+// { source, lines } with the line numbers of the rewritten links.
+function rewriteMarkdownLinks(source, filePath, oldOutput, newOutput) {
+  const baseDir = path.dirname(filePath);
+  const pattern = /(\]\(\s*<?|^[ \t]{0,3}\[[^\]]+\]:\s*<?)([^\s)>#]+)/gm;
+  const lines = new Set();
+
+  const rewritten = source.replace(pattern, (match, prefix, target, offset) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(target)) return match;
+
+    let decoded = target;
+    try {
+      decoded = decodeURI(target);
+    } catch {
+      // Not encoded
+    }
+    if (path.resolve(baseDir, decoded) !== oldOutput) return match;
+
+    lines.add(source.slice(0, offset).split("\n").length);
+    return prefix + encodeURI(relativeLink(baseDir, newOutput, target));
+  });
+
+  return { source: rewritten, lines: [...lines] };
+}
+
+module.exports = { rewriteTemplateReferences, rewriteMarkdownLinks };
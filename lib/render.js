@@ -1,68 +1,423 @@
 const Markdoc = require("@markdoc/markdoc");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const yaml = require("js-yaml");
+const { renderToMarkdown, createSlugger, plainText } = require("./markdown.js");
 
-// ANSI color codes
-const RED = "\x1b[31m";
-const GREEN = "\x1b[32m";
-const RESET = "\x1b[0m";
+// Diagnostic levels that make a render fail
+const FAILING_LEVELS = new Set(["error", "critical"]);
 
-// Build an index of elements by id/class and their list positions
-function buildRefIndex(ast) {
-  const index = {};
+// Record a diagnostic for a file, using the node's line if available
+function addDiagnostic(diagnostics, file, node, level, message) {
+  const line = node?.lines?.length ? node.lines[0] + 1 : undefined;
+  diagnostics.push({ file, line, level, message });
+}
 
-  function walk(node, context = { listStack: [] }) {
-    if (!node || typeof node !== "object") return;
+// Check whether any diagnostic should make the render fail
+function hasErrors(diagnostics) {
+  return diagnostics.some((d) => FAILING_LEVELS.has(d.level));
+}
 
-    const isTag = node.type === "tag";
-    const tagName = node.tag;
-    const attrs = node.attributes || {};
+// Parse a template. Markdoc gives tags inside a paragraph (like {% li %}
+// tags) the lines of the whole paragraph, so they get the line they start
+// on, counting the line breaks before them.
+function parseTemplate(source, file) {
+  const ast = Markdoc.parse(source, { file });
+
+  for (const node of ast.walk()) {
+    if (node.type !== "inline" || !node.lines?.length) continue;
+    let line = node.lines[0];
+    const locate = (parent) => {
+      for (const child of parent.children) {
+        if (child.type === "softbreak" || child.type === "hardbreak") line++;
+        if (child.type === "tag") child.lines = [line, line + 1];
+        locate(child);
+      }
+    };
+    locate(node);
+  }
+  return ast;
+}
 
-    // Track list context
+// Run Markdoc validation (syntax errors, unknown tags/attributes, functions,
+// undefined variables); includedFrom locates the partial tag for partials
+function validateAst(ast, markdocConfig, file, diagnostics, includedFrom) {
+  for (const { lines, error } of Markdoc.validate(ast, markdocConfig)) {
+    if (error.level === "debug" || error.level === "info") continue;
+    addDiagnostic(diagnostics, file, { lines }, error.level, error.message);
+    if (includedFrom) diagnostics[diagnostics.length - 1].includedFrom = includedFrom;
+  }
+}
+
+// Generated file extension per output format
+const OUTPUT_EXTENSIONS = { md: ".g.md", html: ".g.html" };
+
+// File system adapter backed by the real file system
+const nodeFs = {
+  readFile: (filePath) => fs.readFileSync(filePath, "utf-8"),
+  exists: (filePath) => fs.existsSync(filePath),
+};
+
+// File system adapter backed by an object of path -> content, for rendering
+// from memory (paths are resolved against the current directory)
+function createMemoryFs(files) {
+  const contents = new Map(
+    Object.entries(files).map(([filePath, content]) => [
+      path.resolve(filePath),
+      content,
+    ])
+  );
+
+  return {
+    readFile(filePath) {
+      if (!contents.has(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return contents.get(filePath);
+    },
+    exists: (filePath) => contents.has(filePath),
+  };
+}
+
+// Default caption labels by kind
+const CAPTION_LABELS = { figure: "Figure", table: "Table", listing: "Listing" };
+
+// Functions that resolve references with the indexes
+const REF_FUNCTIONS = new Set(["liRef", "captionRef", "ref"]);
+
+// Check whether a heading of an AST calls liRef, captionRef or ref
+function hasHeadingRefs(ast) {
+  const isRef = (value) =>
+    Array.isArray(value)
+      ? value.some(isRef)
+      : value?.$$mdtype === "Function" &&
+        (REF_FUNCTIONS.has(value.name) ||
+          Object.values(value.parameters || {}).some(isRef));
+  const hasRef = (node) =>
+    Object.values(node.attributes || {}).some(isRef) ||
+    (node.children || []).some(hasRef);
+  const walk = (node) =>
+    node.type === "heading" ? hasRef(node) : (node.children || []).some(walk);
+  return walk(ast);
+}
+
+// Index a document as it renders, with its variables, conditions and
+// partials resolved: it is transformed without an index of its own
+// (references to it render as "?") and the tags made by the built-in ol,
+// ul, li, caption tags and headings are collected from the result (see
+// indexRenderedTree). Headings can contain references, so if they do, it
+// is transformed again with that index. projectIndex resolves references
+// to other documents. Duplicate selectors and ids are added to
+// diagnostics. Returns { refs, captions, headings, headingRefs }, where
+// headingRefs tells if headings contain references.
+function indexDocument(
+  ast,
+  file,
+  config,
+  variables,
+  fsAdapter,
+  diagnostics,
+  projectIndex = new Map()
+) {
+  const indexPass = (documentIndex, passDiagnostics) => {
+    const state = {
+      config,
+      diagnostics: [], // reported when the document is rendered
+      dependencies: new Set(),
+      documentPath: file,
+      documentIndex,
+      fs: fsAdapter,
+      includeChain: [file],
+      includeScope: createIncludeScopes(),
+      captionCount: 0,
+      origins: new Map(),
+      headingRefs: hasHeadingRefs(ast),
+      projectIndex,
+      slugger: createSlugger(),
+    };
+
+    const tree = Markdoc.transform(
+      ast,
+      createMarkdocConfig(file, state, variables)
+    );
+    const index = indexRenderedTree(
+      tree,
+      state.origins,
+      config.captions,
+      passDiagnostics
+    );
+    return { ...index, headingRefs: state.headingRefs };
+  };
+
+  const firstDiagnostics = [];
+  const first = indexPass(
+    { refs: [], captions: [], headings: new Map() },
+    firstDiagnostics
+  );
+  if (first.headingRefs) return indexPass(first, diagnostics);
+  diagnostics.push(...firstDiagnostics);
+  return first;
+}
+
+// Message for a duplicate selector or id, with the line of the first one
+// unless it is unknown or the same line
+function duplicateMessage(what, firstLine, line) {
+  const first =
+    firstLine !== undefined && firstLine !== line
+      ? ` (first defined on line ${firstLine})`
+      : "";
+  return `Duplicate ${what}${first}`;
+}
+
+// Build the index of a rendered tree, given where its tags come from
+// (origins: tag -> { type, file, lines, scope, ... }, see
+// createMarkdocConfig):
+// - refs: for each ol/ul list item, the selectors of the lists and items it
+//   is nested in and its own (chain, e.g. [["#steps"], [".install"], [],
+//   [".verify"]]), its marker (its number, honoring the list's start; items
+//   of ul lists count from 1) and its hierarchical number (path, the
+//   markers of the ordered levels)
+// - captions: for each figure, table or listing caption, its kind, id and
+//   number, counted per kind through the document, or per chapter (heading
+//   of captions.chapterLevel) as in "2.1"
+// - headings: by anchor id, with their text and level
+// Entries have the file and line they come from; list items also have their
+// scope, the partial tags they are included through (see
+// createIncludeScopes).
+function indexRenderedTree(tree, origins, captionOptions = {}, diagnostics = []) {
+  const refs = [];
+  const captions = [];
+  const captionIds = new Map(); // id -> caption, to catch duplicates
+  const headings = new Map();
+  const counts = {};
+  let chapter = 0;
+
+  function walk(node, context) {
+    if (Array.isArray(node)) {
+      for (const child of node) walk(child, context);
+      return;
+    }
+    if (!Markdoc.Tag.isTag(node)) return;
+
+    const origin = origins.get(node);
+    const attrs = node.attributes;
+    const line = origin?.lines?.length ? origin.lines[0] + 1 : undefined;
     let newContext = context;
-    if (isTag && tagName === "ol") {
+
+    if (origin?.type === "heading") {
+      const { id } = attrs;
+      const level = Number(node.name[1]);
+      if (headings.has(id)) {
+        addDiagnostic(
+          diagnostics,
+          origin.file,
+          origin,
+          "error",
+          duplicateMessage(`heading id '${id}'`, headings.get(id).line, line)
+        );
+      } else {
+        const text = plainText(node.children).trim();
+        headings.set(id, { id, text, level, file: origin.file, line });
+      }
+
+      // A chapter heading restarts caption numbers
+      if (level === captionOptions.chapterLevel) {
+        chapter++;
+        for (const kind of Object.keys(counts)) counts[kind] = 0;
+      }
+    }
+
+    // Number captions
+    if (origin?.type === "caption") {
+      const { kind, seq } = origin;
+      counts[kind] = (counts[kind] ?? 0) + 1;
+      const number = captionOptions.chapterLevel
+        ? `${chapter}.${counts[kind]}`
+        : String(counts[kind]);
+      const caption = { kind, id: attrs.id, number, seq, file: origin.file, line };
+
+      if (captionOptions.chapterLevel && chapter === 0) {
+        addDiagnostic(
+          diagnostics,
+          origin.file,
+          origin,
+          "error",
+          `${CAPTION_LABELS[kind]} before the first chapter (level ${captionOptions.chapterLevel} heading) can't be numbered`
+        );
+      }
+      if (attrs.id !== undefined && captionIds.has(attrs.id)) {
+        addDiagnostic(
+          diagnostics,
+          origin.file,
+          origin,
+          "error",
+          duplicateMessage(
+            `caption id '${attrs.id}'`,
+            captionIds.get(attrs.id).line,
+            line
+          )
+        );
+      } else if (attrs.id !== undefined) {
+        captionIds.set(attrs.id, caption);
+      }
+      captions.push(caption);
+    }
+
+    // Track list context
+    if (origin?.type === "list") {
       newContext = {
-        listStack: [...context.listStack, { id: attrs.id, liIndex: 0 }],
+        ...context,
+        chain: [...context.chain, attrs.id ? [`#${attrs.id}`] : []],
+        list: {
+          ordered: node.name === "ol",
+          next: node.name === "ol" ? (attrs.start ?? 1) : 1,
+          selectors: new Map(), // selector -> line, to catch duplicates
+        },
       };
     }
 
     // Index list items
-    if (isTag && tagName === "li") {
-      const currentList = newContext.listStack[newContext.listStack.length - 1];
-      if (currentList) {
-        currentList.liIndex++;
-        const marker = currentList.liIndex;
-
-        // Index by class
-        if (attrs.cl) {
-          const classes = attrs.cl.split(/\s+/);
-          for (const cls of classes) {
-            const key = currentList.id
-              ? `#${currentList.id} .${cls}`
-              : `.${cls}`;
-            index[key] = { marker };
-          }
-        }
-
-        // Index by id
-        if (attrs.id) {
-          const key = currentList.id
-            ? `#${currentList.id} #${attrs.id}`
-            : `#${attrs.id}`;
-          index[key] = { marker };
+    if (origin?.type === "item" && context.list) {
+      const { list } = context;
+      const marker = list.next++;
+      const classes = attrs.class ? attrs.class.split(/\s+/).filter(Boolean) : [];
+      const selectors = [
+        ...classes.map((c) => `.${c}`),
+        ...(attrs.id ? [`#${attrs.id}`] : []),
+      ];
+
+      // Items of the same list can't be told apart by the same selector
+      for (const selector of selectors) {
+        if (list.selectors.has(selector)) {
+          addDiagnostic(
+            diagnostics,
+            origin.file,
+            origin,
+            "error",
+            duplicateMessage(
+              `reference '${selector}'`,
+              list.selectors.get(selector),
+              line
+            )
+          );
+        } else {
+          list.selectors.set(selector, line);
         }
       }
+
+      const chain = [...context.chain, selectors];
+      const itemPath = list.ordered ? [...context.path, marker] : context.path;
+      const { file, scope } = origin;
+      refs.push({ chain, marker, path: itemPath, file, line, scope });
+      newContext = { chain, path: itemPath, list: null };
     }
 
-    // Recurse into children
-    const children = node.children || [];
-    for (const child of children) {
-      walk(child, newContext);
+    walk(node.children, newContext);
+  }
+
+  walk(tree, { chain: [], path: [], list: null });
+  return { refs, captions, headings };
+}
+
+// Create a function that gives the scope of the content of a partial
+// included by a partial tag (node) of filePath in scope, to tell apart the
+// inclusions of a partial. Tags are counted, as inline ones in a paragraph
+// share its lines, so it must be called for the included partials in
+// document order.
+function createIncludeScopes() {
+  const counts = new Map();
+
+  return (scope, filePath, node) => {
+    const key = `${scope}>${filePath}:${node.lines?.[0] + 1}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+    return `${key}#${counts.get(key)}`;
+  };
+}
+
+// Check whether a list item matches a selector like "#steps .install
+// .verify": the last part must be one of the item's own selectors and the
+// others must match lists or items it is nested in, in order
+function matchesListSelector(item, selector) {
+  const parts = selector.trim().split(/\s+/);
+  const own = item.chain[item.chain.length - 1];
+  if (!own.includes(parts.pop())) return false;
+
+  let level = item.chain.length - 1;
+  for (const part of parts.reverse()) {
+    do {
+      level--;
+    } while (level >= 0 && !item.chain[level].includes(part));
+    if (level < 0) return false;
+  }
+  return true;
+}
+
+// Find the list item a selector refers to in a document's index; returns
+// { entry }, { ambiguous } if more than one matches or {} if none does.
+// Items in scope (of the document or partial inclusion the reference is
+// in) take precedence over the others.
+function findListItem(index, selector, scope) {
+  let matches = index.filter((item) => matchesListSelector(item, selector));
+  if (matches.some((item) => item.scope === scope)) {
+    matches = matches.filter((item) => item.scope === scope);
+  }
+  if (matches.length === 1) return { entry: matches[0] };
+  if (matches.length === 0) return {};
+  const lines = matches
+    .map((item) => {
+      const number = item.path.join(".") || item.marker;
+      const line = item.line !== undefined ? `:${item.line}` : "";
+      return `${path.basename(item.file)}${line} (${number})`;
+    })
+    .join(", ");
+  return { ambiguous: `the items at ${lines}` };
+}
+
+// Format a list counter as a number, letter (a, b, ..., aa) or roman numeral
+function formatCounter(value, counter) {
+  if (counter === "a" || counter === "A") {
+    let text = "";
+    for (let n = value; n > 0; n = Math.floor((n - 1) / 26)) {
+      text = String.fromCharCode(97 + ((n - 1) % 26)) + text;
     }
+    return counter === "A" ? text.toUpperCase() : text;
   }
+  if (counter === "i" || counter === "I") {
+    const numerals = [
+      [1000, "m"], [900, "cm"], [500, "d"], [400, "cd"], [100, "c"],
+      [90, "xc"], [50, "l"], [40, "xl"], [10, "x"], [9, "ix"], [5, "v"],
+      [4, "iv"], [1, "i"],
+    ];
+    let text = "";
+    let n = value;
+    for (const [amount, numeral] of numerals) {
+      for (; n >= amount; n -= amount) text += numeral;
+    }
+    return counter === "I" ? text.toUpperCase() : text;
+  }
+  return String(value);
+}
 
-  walk(ast);
-  return index;
+// Format a hierarchical list number like [3, 2] with a style such as "1.1"
+// (3.2), "1a" (3b) or "1.a.i": the counters 1, a, A, i and I with the
+// separators between them. Levels deeper than the style repeat its last
+// counter and separator. A function style gets the numbers.
+function formatListPath(numbers, style = "1.1") {
+  if (typeof style === "function") return String(style(numbers));
+
+  const counters = style.match(/[1aAiI]/g) || ["1"];
+  const separators = style.split(/[1aAiI]/).slice(1, -1);
+  const lastSeparator = separators[separators.length - 1] ?? ".";
+
+  return numbers
+    .map((value, level) => {
+      const counter = counters[Math.min(level, counters.length - 1)];
+      const separator =
+        level === 0 ? "" : (separators[level - 1] ?? lastSeparator);
+      return separator + formatCounter(value, counter);
+    })
+    .join("");
 }
 
 // Extract partial file references from AST
@@ -90,782 +445,1131 @@ function extractPartialRefs(ast, baseDir) {
   return partials;
 }
 
-// Build a map of partial -> mdoc files that use it
-function buildPartialDependencyMap(mdocFiles) {
+// Build a map of partial -> mdoc files that use it, directly or through
+// other partials. Include cycles are cut off here and reported when
+// rendering.
+function buildPartialDependencyMap(mdocFiles, fsAdapter = nodeFs) {
   const map = new Map(); // partial path -> Set of mdoc paths
+  const includes = new Map(); // file -> partials it includes directly
+
+  const partialsOf = (filePath) => {
+    if (!includes.has(filePath)) {
+      const partials = fsAdapter.exists(filePath)
+        ? extractPartialRefs(
+            Markdoc.parse(fsAdapter.readFile(filePath)),
+            path.dirname(filePath)
+          )
+        : new Set();
+      includes.set(filePath, partials);
+    }
+    return includes.get(filePath);
+  };
 
   for (const mdocPath of mdocFiles) {
-    const source = fs.readFileSync(mdocPath, "utf-8");
-    const ast = Markdoc.parse(source);
-    const baseDir = path.dirname(mdocPath);
-    const partials = extractPartialRefs(ast, baseDir);
-
-    for (const partial of partials) {
-      if (!map.has(partial)) {
-        map.set(partial, new Set());
+    const visited = new Set([mdocPath]);
+    const queue = [mdocPath];
+
+    while (queue.length > 0) {
+      for (const partial of partialsOf(queue.shift())) {
+        if (!map.has(partial)) {
+          map.set(partial, new Set());
+        }
+        map.get(partial).add(mdocPath);
+
+        if (!visited.has(partial)) {
+          visited.add(partial);
+          queue.push(partial);
+        }
       }
-      map.get(partial).add(mdocPath);
     }
   }
 
   return map;
 }
 
-// Create config with ref function that uses the index
-function createMarkdocConfig(refIndex, baseDir) {
-  return {
-    tags: {
-      ol: {
-        render: "ol",
-        attributes: {
-          id: { type: String },
-        },
-      },
-      li: {
-        render: "li",
-        attributes: {
-          id: { type: String },
-          cl: { type: String },
-        },
-      },
-      partial: {
-        render: "partial",
-        selfClosing: true,
-        attributes: {
-          file: { type: String, required: true },
-        },
-        transform(node) {
-          const file = node.attributes.file;
-          const filePath = path.resolve(baseDir, file);
-
-          if (!fs.existsSync(filePath)) {
-            console.warn(`Partial not found: ${filePath}`);
-            return null;
-          }
-
-          const source = fs.readFileSync(filePath, "utf-8");
-          const ast = Markdoc.parse(source);
-
-          // Build ref index for partial (merge with parent)
-          const partialRefIndex = buildRefIndex(ast);
-          const mergedRefIndex = { ...refIndex, ...partialRefIndex };
-
-          // Create config for partial with its own base dir
-          const partialBaseDir = path.dirname(filePath);
-          const partialConfig = createMarkdocConfig(mergedRefIndex, partialBaseDir);
-
-          return Markdoc.transform(ast, partialConfig);
-        },
-      },
-    },
-    functions: {
-      liRef: {
-        transform(parameters) {
-          const selector = parameters[0];
-          const data = refIndex[selector];
-          return data?.marker ?? "?";
-        },
-      },
-    },
-  };
-}
-
-// Custom Markdown renderer
-function renderToMarkdown(node, context = { indent: "", listStack: [] }) {
-  if (node === null || node === undefined) {
-    return "";
-  }
-
-  // Handle primitive values (strings, numbers from functions like liRef)
-  if (typeof node === "string") {
-    return node;
-  }
-  if (typeof node === "number") {
-    return String(node);
-  }
-  if (typeof node === "boolean") {
-    return node ? "true" : "false";
-  }
-
-  // Handle arrays
-  if (Array.isArray(node)) {
-    return node.map((child) => renderToMarkdown(child, context)).join("");
+// Build list ref, caption and heading indexes for all documents
+// (mdoc path -> { refs, captions, headings, headingRefs, diagnostics }), as
+// they render with config (the options of renderTemplate: variables,
+// plugins, captions). renderTemplate uses a document's own entry rather
+// than indexing it again, and reports its diagnostics. Documents
+// with references in headings are indexed again once the others are, so
+// that references to other documents resolve.
+function buildProjectIndex(mdocFiles, fsAdapter = nodeFs, config = {}) {
+  const projectIndex = new Map();
+  const reindex = []; // indexDocument arguments of documents to index again
+
+  for (const file of mdocFiles) {
+    const mdocPath = path.resolve(file);
+    try {
+      const source = fsAdapter.readFile(mdocPath);
+      const ast = parseTemplate(source, mdocPath);
+      const frontmatter = parseFrontmatter(ast, mdocPath, []);
+      const variables = { ...config.variables, ...frontmatter, frontmatter };
+      // Defaults as in renderTemplate
+      const templatesDir = config.templatesDir ?? path.dirname(mdocPath);
+      const documentConfig = {
+        ...config,
+        templatesDir,
+        outputDir: config.outputDir ?? templatesDir,
+      };
+      const args = [ast, mdocPath, documentConfig, variables, fsAdapter];
+      const diagnostics = [];
+      const index = indexDocument(...args, diagnostics);
+      projectIndex.set(mdocPath, { ...index, diagnostics });
+      if (index.headingRefs) reindex.push(args);
+    } catch {
+      // Unreadable files are reported when they are rendered
+    }
   }
 
-  // Must be an object (RenderableTreeNode)
-  if (typeof node !== "object") {
-    return "";
+  for (const args of reindex) {
+    const diagnostics = [];
+    const index = indexDocument(...args, diagnostics, projectIndex);
+    projectIndex.set(args[1], { ...index, diagnostics });
   }
+  return projectIndex;
+}
 
-  const { name, attributes = {}, children = [] } = node;
-
-  // Render children helper
-  const renderChildren = (ctx = context) =>
-    children.map((child) => renderToMarkdown(child, ctx)).join("");
-
-  switch (name) {
-    // Document wrapper
-    case "article":
-      return renderChildren();
-
-    // Headings
-    case "h1":
-      return `# ${renderChildren()}\n\n`;
-    case "h2":
-      return `## ${renderChildren()}\n\n`;
-    case "h3":
-      return `### ${renderChildren()}\n\n`;
-    case "h4":
-      return `#### ${renderChildren()}\n\n`;
-    case "h5":
-      return `##### ${renderChildren()}\n\n`;
-    case "h6":
-      return `###### ${renderChildren()}\n\n`;
-
-    // Paragraphs
-    case "p": {
-      // Check if this p contains list items (Markdoc sometimes wraps li in p)
-      const hasListItems = children.some((c) => c?.name === "li");
-      if (hasListItems) {
-        // Filter out whitespace-only strings and render only the li elements
-        const listItems = children.filter(
-          (c) => c?.name === "li" || c?.name === "ol" || c?.name === "ul"
-        );
-        return listItems.map((child) => renderToMarkdown(child, context)).join("") + "\n";
-      }
-
-      const content = renderChildren().trim();
-      if (!content) return "";
-      return `${context.indent}${content}\n\n`;
-    }
-
-    // Text formatting
-    case "strong":
-      return `**${renderChildren()}**`;
-    case "em":
-      return `*${renderChildren()}*`;
-    case "s":
-      return `~~${renderChildren()}~~`;
-    case "code":
-      return `\`${renderChildren()}\``;
-
-    // Links and images
-    case "a": {
-      const href = attributes.href || "";
-      const title = attributes.title ? ` "${attributes.title}"` : "";
-      return `[${renderChildren()}](${href}${title})`;
-    }
-    case "img": {
-      const src = attributes.src || "";
-      const alt = attributes.alt || "";
-      const title = attributes.title ? ` "${attributes.title}"` : "";
-      return `![${alt}](${src}${title})`;
-    }
-
-    // Code blocks
-    case "pre": {
-      // Usually contains a <code> with language class
-      const codeChild = children.find((c) => c?.name === "code");
-      if (codeChild) {
-        const lang = codeChild.attributes?.["data-language"] || "";
-        const code = codeChild.children
-          .map((c) =>
-            typeof c === "string" ? c : renderToMarkdown(c, context)
-          )
-          .join("");
-        return `\`\`\`${lang}\n${code}\`\`\`\n\n`;
-      }
-      return `\`\`\`\n${renderChildren()}\`\`\`\n\n`;
-    }
+// Split a cross-document selector like "install.mdoc#steps .configure"
+function parseRefSelector(selector) {
+  const match = /^([^#\s]+\.mdoc)\s*(.*)$/.exec(selector);
+  if (!match) return { file: null, selector };
+  return { file: match[1], selector: match[2] };
+}
 
-    // Blockquote
-    case "blockquote": {
-      const content = renderChildren({ ...context, indent: "> " });
-      return (
-        content
-          .split("\n")
-          .map((line) => (line.trim() ? `> ${line}` : ">"))
-          .join("\n") + "\n\n"
-      );
+// Resolve a liRef selector against the local index or another document;
+// scope is that of the reference (see indexRenderedTree)
+function resolveRef(selector, filePath, state, scope = "") {
+  const ref = parseRefSelector(selector);
+  let found;
+  if (!ref.file) {
+    found = findListItem(state.documentIndex.refs, selector, scope);
+  } else {
+    const targetPath = path.resolve(path.dirname(filePath), ref.file);
+    state.dependencies.add(targetPath);
+    const targetIndex = state.projectIndex.get(targetPath)?.refs;
+    if (!targetIndex) {
+      return { error: `Unknown document in reference: '${selector}'` };
     }
+    found = findListItem(targetIndex, ref.selector, "");
+  }
 
-    // Horizontal rule
-    case "hr":
-      return "---\n\n";
+  if (found.ambiguous) {
+    return {
+      error: `Ambiguous reference: '${selector}' matches ${found.ambiguous}`,
+    };
+  }
+  return found.entry
+    ? found
+    : { error: `Unresolved reference: '${selector}'` };
+}
 
-    // Line breaks
-    case "br":
-      return "  \n";
+// Label of a caption like "Table 3", with the labels of the captions config
+// option
+function captionLabel(config, { kind, number }) {
+  const labels = { ...CAPTION_LABELS, ...config.captions?.labels };
+  return `${labels[kind]} ${number}`;
+}
 
-    // Lists - ordered
-    case "ol": {
-      const newContext = {
-        ...context,
-        listStack: [...context.listStack, { type: "ol", index: 0 }],
-      };
-      const items = children
-        .map((child) => renderToMarkdown(child, newContext))
-        .join("");
-      return items;
+// Resolve a captionRef selector ("#id" or "install.mdoc#id") to the caption
+// and a link to it
+function resolveCaption(selector, filePath, state) {
+  const { config, documentPath, documentIndex, projectIndex } = state;
+  const ref = parseRefSelector(selector);
+
+  let targetPath = documentPath;
+  let targetIndex = documentIndex;
+  if (ref.file) {
+    targetPath = path.resolve(path.dirname(filePath), ref.file);
+    state.dependencies.add(targetPath);
+    targetIndex =
+      targetPath === documentPath ? documentIndex : projectIndex.get(targetPath);
+    if (!targetIndex) {
+      return { error: `Unknown document in reference: '${selector}'` };
     }
+  }
 
-    // Lists - unordered
-    case "ul": {
-      const newContext = {
-        ...context,
-        listStack: [...context.listStack, { type: "ul", index: 0 }],
-      };
-      const items = children
-        .map((child) => renderToMarkdown(child, newContext))
-        .join("");
-      return items;
-    }
-
-    // List items
-    case "li": {
-      const currentList = context.listStack[context.listStack.length - 1];
-      const depth = context.listStack.length - 1;
-      const indent = "   ".repeat(depth);
-
-      let marker;
-      if (currentList?.type === "ol") {
-        currentList.index++;
-        marker = `${currentList.index}.`;
-      } else {
-        marker = "-";
-      }
+  const id = /^#(\S+)$/.exec(ref.selector)?.[1];
+  const entry = id && targetIndex.captions.find((c) => c.id === id);
+  if (!entry) return { error: `Unresolved caption reference: '${selector}'` };
 
-      // Check if this li contains nested lists
-      const hasNestedList = children.some(
-        (c) => c?.name === "ol" || c?.name === "ul"
-      );
+  const outputLink = (format) =>
+    targetPath === documentPath
+      ? `#${id}`
+      : `${getOutputLink(config, documentPath, targetPath, format)}#${id}`;
+  return {
+    entry,
+    label: captionLabel(config, entry),
+    href: outputLink("md"),
+    htmlHref: outputLink("html"),
+  };
+}
 
-      if (hasNestedList) {
-        // Separate inline content from nested lists
-        const inlineContent = [];
-        const nestedLists = [];
+// Get the template target ("setup.mdoc#anchor") of a Markdown link href, or
+// null if it doesn't point at a .mdoc file by a relative path
+function parseMdocHref(href) {
+  if (typeof href !== "string") return null;
+  if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(href)) return null;
+  if (!/^[^?#]+\.mdoc(#.*)?$/.test(href)) return null;
+  try {
+    return decodeURI(href);
+  } catch {
+    return href;
+  }
+}
 
-        for (const child of children) {
-          if (child?.name === "ol" || child?.name === "ul") {
-            nestedLists.push(child);
-          } else {
-            inlineContent.push(child);
-          }
-        }
+// Split a link target like "install.mdoc#setup" into file and anchor
+function parseLinkTarget(target) {
+  const hashIndex = target.indexOf("#");
+  if (hashIndex === -1) return { file: target, anchor: null };
+  return {
+    file: target.slice(0, hashIndex),
+    anchor: target.slice(hashIndex + 1),
+  };
+}
 
-        const inlineText = inlineContent
-          .map((c) => renderToMarkdown(c, context))
-          .join("")
-          .trim();
+// Convert mdoc path to output path
+function getOutputPath(config, mdocPath, format = "md") {
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(rootDir, mdocPath);
+  return path.join(
+    config.outputDir,
+    relativePath.replace(/\.mdoc$/, OUTPUT_EXTENSIONS[format])
+  );
+}
 
-        const nestedText = nestedLists
-          .map((c) => renderToMarkdown(c, context))
-          .join("");
+// Convert output path to expected mdoc path
+function getMdocPath(config, outputPath) {
+  const outputDir = path.resolve(config.outputDir);
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(outputDir, outputPath);
+  return path.join(rootDir, relativePath.replace(/\.g\.(md|html)$/, ".mdoc"));
+}
 
-        return `${indent}${marker} ${inlineText}\n${nestedText}`;
-      }
+// Get the output formats of a template: the global format, unless a
+// templateFormats entry matches the template or one of its directories
+function getOutputFormats(config, mdocPath) {
+  const rootDir = path.resolve(config.templatesDir);
+  const relativePath = path.relative(rootDir, mdocPath);
 
-      const content = renderChildren().trim().replace(/\n+/g, " ");
-      return `${indent}${marker} ${content}\n`;
-    }
-
-    // Tables
-    case "table":
-      return renderChildren() + "\n";
-    case "thead":
-      return renderChildren();
-    case "tbody":
-      return renderChildren();
-    case "tr": {
-      const cells = children
-        .map((child) => renderToMarkdown(child, context))
-        .join(" | ");
-      const isHeader = children.some((c) => c?.name === "th");
-      if (isHeader) {
-        const separator = children.map(() => "---").join(" | ");
-        return `| ${cells} |\n| ${separator} |\n`;
-      }
-      return `| ${cells} |\n`;
+  let format = config.format || "md";
+  for (const [pattern, value] of Object.entries(config.templateFormats || {})) {
+    if (
+      relativePath === pattern ||
+      relativePath.startsWith(pattern + path.sep)
+    ) {
+      format = value;
     }
-    case "th":
-    case "td":
-      return renderChildren().trim();
-
-    // Catch-all for unknown elements - just render children
-    default:
-      return renderChildren();
   }
+  return Array.isArray(format) ? format : [format];
 }
 
-// Check if a path should be ignored based on ignore list
-function shouldIgnore(filePath, rootDir, ignorePaths) {
-  if (!ignorePaths || ignorePaths.length === 0) return false;
+// Get the relative link from one document's output to another's, preferring
+// the target's output in the same format
+function getOutputLink(config, fromMdoc, toMdoc, format) {
+  const targetFormats = getOutputFormats(config, toMdoc);
+  const targetFormat = targetFormats.includes(format)
+    ? format
+    : targetFormats[0];
+  const fromDir = path.dirname(getOutputPath(config, fromMdoc, format));
+  const toPath = getOutputPath(config, toMdoc, targetFormat);
+  return path.relative(fromDir, toPath).split(path.sep).join("/");
+}
 
-  const relativePath = path.relative(rootDir, filePath);
+// Resolve a ref target to an href and default link text
+function resolveLink(target, filePath, state) {
+  const { config, documentPath, documentIndex, projectIndex } = state;
+  const link = parseLinkTarget(target);
+
+  let targetPath = documentPath;
+  let targetIndex = documentIndex;
+  if (link.file) {
+    targetPath = path.resolve(path.dirname(filePath), link.file);
+    state.dependencies.add(targetPath);
+    targetIndex =
+      targetPath === documentPath ? documentIndex : projectIndex.get(targetPath);
+    if (!targetIndex) {
+      return { error: `Unknown document in link: '${target}'` };
+    }
+  }
 
-  for (const ignorePath of ignorePaths) {
-    // Check if the file path starts with or equals the ignore path
-    if (
-      relativePath === ignorePath ||
-      relativePath.startsWith(ignorePath + path.sep)
-    ) {
-      return true;
+  let heading = null;
+  if (link.anchor) {
+    heading = targetIndex.headings.get(link.anchor);
+    if (!heading) {
+      return { error: `Unresolved heading in link: '${target}'` };
     }
   }
 
-  return false;
+  const anchor = link.anchor ? `#${link.anchor}` : "";
+  const outputLink = (format) =>
+    targetPath === documentPath && anchor
+      ? anchor
+      : getOutputLink(config, documentPath, targetPath, format) + anchor;
+
+  // Default link text: the heading, else the document title, else file name
+  const title = [...targetIndex.headings.values()].find((h) => h.level === 1);
+  const text =
+    heading?.text || title?.text || path.basename(targetPath, ".mdoc");
+  return { href: outputLink("md"), htmlHref: outputLink("html"), text };
 }
 
-// Recursively find all .mdoc files (non-partial)
-function findMdocFiles(dir, config, files = []) {
-  const { outputDir, ignore } = config;
-  const rootDir = path.resolve(config.templatesDir);
-  const outputDirName = path.basename(path.resolve(outputDir));
-
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-
-    if (entry.isDirectory()) {
-      // Skip standard excluded directories
-      if (
-        entry.name === "node_modules" ||
-        entry.name === outputDirName ||
-        entry.name.startsWith(".")
-      ) {
-        continue;
+// Extract documents referenced by cross-document liRef/captionRef/ref calls,
+// toc tags and Markdown links to templates in an AST
+function extractCrossRefs(ast, baseDir) {
+  const targets = new Set();
+
+  function walkValue(value) {
+    if (Array.isArray(value)) {
+      value.forEach(walkValue);
+    } else if (value?.$$mdtype === "Function") {
+      const target = value.parameters?.[0];
+      const isRef = value.name === "liRef" || value.name === "captionRef";
+      if (isRef && typeof target === "string") {
+        const ref = parseRefSelector(target);
+        if (ref.file) targets.add(path.resolve(baseDir, ref.file));
       }
-
-      // Skip ignored directories
-      if (shouldIgnore(fullPath, rootDir, ignore)) {
-        continue;
-      }
-
-      findMdocFiles(fullPath, config, files);
-    } else if (
-      entry.isFile() &&
-      entry.name.endsWith(".mdoc") &&
-      !entry.name.endsWith(".p.mdoc")
-    ) {
-      // Skip ignored files
-      if (!shouldIgnore(fullPath, rootDir, ignore)) {
-        files.push(fullPath);
+      if (value.name === "ref" && typeof target === "string") {
+        const link = parseLinkTarget(target);
+        if (link.file) targets.add(path.resolve(baseDir, link.file));
       }
+      Object.values(value.parameters || {}).forEach(walkValue);
     }
   }
-  return files;
-}
-
-// Convert mdoc path to output path
-function getOutputPath(config, mdocPath) {
-  const rootDir = path.resolve(config.templatesDir);
-  const relativePath = path.relative(rootDir, mdocPath);
-  return path.join(config.outputDir, relativePath.replace(/\.mdoc$/, ".g.md"));
-}
-
-// Render a single markdoc file to Markdown
-function renderFile(filePath) {
-  const source = fs.readFileSync(filePath, "utf-8");
-  const ast = Markdoc.parse(source);
-  const baseDir = path.dirname(filePath);
 
-  // Build ref index from AST
-  const refIndex = buildRefIndex(ast);
+  function walk(node) {
+    if (!node || typeof node !== "object") return;
 
-  // Create config with the ref function
-  const markdocConfig = createMarkdocConfig(refIndex, baseDir);
+    Object.values(node.attributes || {}).forEach(walkValue);
 
-  const content = Markdoc.transform(ast, markdocConfig);
-  return renderToMarkdown(content).trim() + "\n";
-}
+    const linkTarget = node.type === "link" && parseMdocHref(node.attributes.href);
+    if (linkTarget) {
+      targets.add(path.resolve(baseDir, parseLinkTarget(linkTarget).file));
+    }
 
-// Render and write a single file (output file must already exist)
-function renderAndWrite(config, mdocPath) {
-  const rootDir = path.resolve(config.templatesDir);
-  const relativePath = path.relative(rootDir, mdocPath);
-  const outputPath = getOutputPath(config, mdocPath);
+    const tocFile = node.attributes?.file;
+    if (node.type === "tag" && node.tag === "toc" && typeof tocFile === "string") {
+      targets.add(path.resolve(baseDir, tocFile));
+    }
 
-  // Check that output file exists
-  if (!fs.existsSync(outputPath)) {
-    const relativeOutput = path.relative(rootDir, outputPath);
-    console.error(
-      `${RED}Error: ${relativeOutput} does not exist. Create it first to enable rendering.${RESET}`
-    );
-    return false;
+    const children = node.children || [];
+    for (const child of children) {
+      walk(child);
+    }
   }
 
-  const md = renderFile(mdocPath);
-  fs.writeFileSync(outputPath, md);
-  console.log(`${relativePath} -> ${path.relative(rootDir, outputPath)}`);
-  return true;
+  walk(ast);
+  return targets;
 }
 
-// Recursively find all .g.md files in output dir
-function findGeneratedFiles(dir, files = []) {
-  if (!fs.existsSync(dir)) return files;
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      findGeneratedFiles(fullPath, files);
-    } else if (entry.isFile() && entry.name.endsWith(".g.md")) {
-      files.push(fullPath);
-    }
-  }
-  return files;
-}
+// Build a map of referenced document -> mdoc files that reference it,
+// following partials so that refs made inside partials are included
+function buildCrossRefDependencyMap(mdocFiles, fsAdapter = nodeFs) {
+  const map = new Map(); // target mdoc path -> Set of mdoc paths
 
-// Convert output path to expected mdoc path
-function getMdocPath(config, outputPath) {
-  const outputDir = path.resolve(config.outputDir);
-  const rootDir = path.resolve(config.templatesDir);
-  const relativePath = path.relative(outputDir, outputPath);
-  return path.join(rootDir, relativePath.replace(/\.g\.md$/, ".mdoc"));
-}
+  for (const mdocPath of mdocFiles) {
+    const visited = new Set();
+    const queue = [mdocPath];
 
-// Clean up orphaned .g.md files (those without corresponding .mdoc)
-function cleanupOrphans(config) {
-  const rootDir = path.resolve(config.templatesDir);
-  const outputDir = path.resolve(config.outputDir);
-  const generatedFiles = findGeneratedFiles(outputDir);
-  let deletedCount = 0;
-
-  for (const genFile of generatedFiles) {
-    const expectedMdoc = getMdocPath(config, genFile);
-    if (!fs.existsSync(expectedMdoc)) {
-      fs.unlinkSync(genFile);
-      console.log(`Deleted orphaned: ${path.relative(rootDir, genFile)}`);
-      deletedCount++;
-
-      // Clean up empty directories (but never delete output dir or above)
-      let dir = path.dirname(genFile);
-      while (true) {
-        // Safety check: ensure we're still inside output directory
-        const resolvedDir = path.resolve(dir);
-        if (
-          resolvedDir === outputDir ||
-          !resolvedDir.startsWith(outputDir + path.sep)
-        ) {
-          break;
-        }
+    while (queue.length > 0) {
+      const filePath = queue.shift();
+      if (visited.has(filePath) || !fsAdapter.exists(filePath)) continue;
+      visited.add(filePath);
 
-        try {
-          const entries = fs.readdirSync(dir);
-          if (entries.length === 0) {
-            fs.rmdirSync(dir);
-            dir = path.dirname(dir);
-          } else {
-            break;
-          }
-        } catch {
-          break;
+      const ast = Markdoc.parse(fsAdapter.readFile(filePath));
+      const baseDir = path.dirname(filePath);
+
+      for (const target of extractCrossRefs(ast, baseDir)) {
+        if (!map.has(target)) {
+          map.set(target, new Set());
         }
+        map.get(target).add(mdocPath);
       }
+      queue.push(...extractPartialRefs(ast, baseDir));
     }
   }
 
-  return deletedCount;
+  return map;
 }
 
-// Render all files (output files must already exist)
-function render(config) {
-  const rootDir = path.resolve(config.templatesDir);
-  const mdocFiles = findMdocFiles(rootDir, config);
+// Summarize what other documents can see of a document (list numbering,
+// caption numbers and headings) as a string, for comparing indexes
+function summarizeDocumentIndex(index) {
+  return JSON.stringify([
+    (index?.refs || []).map(({ chain, marker, path }) => [chain, marker, path]),
+    (index?.captions || []).map(({ kind, id, number }) => [kind, id, number]),
+    [...(index?.headings?.values() || [])].map((h) => [h.id, h.text, h.level]),
+  ]);
+}
 
-  if (mdocFiles.length === 0) {
-    console.log("No .mdoc files found");
-    return;
+// Find documents whose list numbering, captions or headings differ between
+// two project indexes
+function findChangedRefTargets(oldIndex, newIndex) {
+  const changed = new Set();
+  for (const mdocPath of new Set([...oldIndex.keys(), ...newIndex.keys()])) {
+    const before = summarizeDocumentIndex(oldIndex.get(mdocPath));
+    if (before !== summarizeDocumentIndex(newIndex.get(mdocPath))) {
+      changed.add(mdocPath);
+    }
   }
+  return changed;
+}
 
-  // Clean up orphaned .g.md files first
-  const deletedCount = cleanupOrphans(config);
-  if (deletedCount > 0) {
-    console.log();
-  }
+// Create a numbered caption tag (figure, table-caption or listing) of a
+// document or partial. Its content gets a caption with the number from the
+// ref index: after it for figures, before it for tables and listings.
+// Captions are matched with the index by the order they are transformed in;
+// track records where a tag comes from (see createMarkdocConfig).
+function createCaptionTag(kind, state, track) {
+  return {
+    render: "figure",
+    attributes: {
+      id: { type: String },
+      caption: { type: String },
+    },
+    transform(node, config) {
+      const seq = state.captionCount++;
+      const { id, caption } = node.transformAttributes(config);
+      const entry = state.documentIndex.captions.find((c) => c.seq === seq);
+      const label = captionLabel(state.config, {
+        kind,
+        number: entry?.number ?? "?",
+      });
 
-  let successCount = 0;
-  let errorCount = 0;
+      const figcaption = new Markdoc.Tag(
+        "figcaption",
+        {},
+        caption
+          ? [new Markdoc.Tag("strong", {}, [`${label}:`]), ` ${caption}`]
+          : [new Markdoc.Tag("strong", {}, [label])]
+      );
+      const children = node.transformChildren(config);
+      const tag = new Markdoc.Tag(
+        "figure",
+        id ? { id, class: kind } : { class: kind },
+        kind === "figure" ? [...children, figcaption] : [figcaption, ...children]
+      );
+      return track(tag, node, { type: "caption", kind, seq });
+    },
+  };
+}
 
-  for (const mdocPath of mdocFiles) {
-    if (renderAndWrite(config, mdocPath)) {
-      successCount++;
-    } else {
-      errorCount++;
-    }
-  }
+// Problem with the first argument of a ref function that isn't a string
+function targetError(name) {
+  return `${name}() needs a string as its first argument`;
+}
 
-  if (errorCount > 0) {
-    console.log(
-      `\n${RED}Rendered ${successCount} file(s), ${errorCount} error(s)${RESET}`
-    );
-    process.exit(1);
-  } else {
-    console.log(`\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)`);
-  }
+// Validate the target (first argument) of liRef, captionRef or ref with
+// resolve(target) -> { error, ... }. Only string literals are resolved; a
+// variable or function call is checked once it is transformed.
+function validateTarget(fn, id, resolve) {
+  const target = fn.parameters[0];
+  if (Markdoc.Ast.isAst(target)) return [];
+  const error =
+    typeof target === "string" ? resolve(target).error : targetError(fn.name);
+  return error ? [{ id, level: "error", message: error }] : [];
 }
 
-// Watch mode using fs.watch for native file system events
-function watch(config) {
-  const rootDir = path.resolve(config.templatesDir);
-  const outputDir = path.resolve(config.outputDir);
-  const outputDirName = path.basename(outputDir);
-  const debounceMs = config.debounceMs;
-
-  console.log("Watch mode started (using native fs events)...\n");
-
-  const watchers = new Map(); // dir -> FSWatcher
-  const pendingChanges = new Set();
-  const pendingErrors = new Set(); // mdoc files that failed to render (missing .g.md)
-  let debounceTimer = null;
-
-  // Process all pending changes
-  function processPendingChanges() {
-    if (pendingChanges.size === 0 && pendingErrors.size === 0) return;
-
-    const mdocFiles = findMdocFiles(rootDir, config);
-    const changedMdocs = new Set();
-    const changedPartials = new Set();
-
-    for (const filePath of pendingChanges) {
-      if (fs.existsSync(filePath)) {
-        if (filePath.endsWith(".p.mdoc")) {
-          changedPartials.add(filePath);
-        } else if (filePath.endsWith(".mdoc")) {
-          changedMdocs.add(filePath);
-        }
-      }
-      // Deleted files will be handled by cleanupOrphans
-    }
+// Create config with ref function that uses the index. The state is shared
+// by a document and its partials: { config, diagnostics, dependencies,
+// documentPath, documentIndex, fs, includeChain, includeScope,
+// captionCount, origins, headingRefs, projectIndex, slugger }, where
+// includeChain is the document and the partials being transformed (to catch
+// include cycles), captionCount counts the caption tags transformed so far,
+// and origins and headingRefs (set once a partial has references in
+// headings) are only set while indexing (see indexDocument). Variables are scoped to a
+// partial inclusion and the partials it includes, and scope tells the
+// inclusion apart in the ref index (see indexRenderedTree). Tags, nodes and
+// functions from mdr.config.js are added, but can't replace the built-in
+// ones.
+function createMarkdocConfig(filePath, state, variables = {}, scope = "") {
+  const baseDir = path.dirname(filePath);
+  const { config: mdrConfig, diagnostics } = state;
 
-    pendingChanges.clear();
+  // While indexing, remember which tags the built-in ones made and where
+  const track = (tag, node, origin) => {
+    state.origins?.set(tag, { ...origin, file: filePath, lines: node.lines, scope });
+    return tag;
+  };
 
-    // Handle partial changes - find dependent mdoc files
-    if (changedPartials.size > 0) {
-      const dependencyMap = buildPartialDependencyMap(mdocFiles);
+  // Resolve the target (first argument) of liRef, captionRef or ref with
+  // resolve(target) -> { error, ... }. Targets given by variables or
+  // function calls are only known here, so their problems are reported
+  // here; string literals were checked when validating (see
+  // validateTarget).
+  const resolveTarget = (name, target, resolve) => {
+    const result =
+      typeof target === "string"
+        ? resolve(target)
+        : { error: targetError(name) };
+    const { error } = result;
+    const reported = diagnostics.some(
+      (d) => d.file === filePath && d.message === error
+    );
+    if (error && !reported) {
+      addDiagnostic(diagnostics, filePath, null, "error", error);
+    }
+    return result;
+  };
 
-      for (const partial of changedPartials) {
-        const dependents = dependencyMap.get(partial);
-        if (dependents) {
-          for (const dep of dependents) {
-            changedMdocs.add(dep);
+  return {
+    validation: { validateFunctions: true },
+    variables,
+    nodes: {
+      ...mdrConfig.nodes,
+      heading: {
+        ...Markdoc.nodes.heading,
+        // The anchor is the slug of the rendered text, with variables and
+        // functions resolved
+        transform(node, config) {
+          const attributes = node.transformAttributes(config);
+          const children = node.transformChildren(config);
+          const slug = state.slugger(plainText(children).trim());
+          const tag = new Markdoc.Tag(
+            `h${node.attributes.level}`,
+            { ...attributes, id: attributes.id ?? slug },
+            children
+          );
+          return track(tag, node, { type: "heading" });
+        },
+      },
+      // Links to templates ([setup](setup.mdoc#install)) point at their
+      // outputs, relative to this document's output
+      link: {
+        ...Markdoc.nodes.link,
+        validate(node) {
+          const target = parseMdocHref(node.attributes.href);
+          if (!target) return [];
+          const { error } = resolveLink(target, filePath, state);
+          if (!error) return [];
+          return [{ id: "link-unresolved", level: "error", message: error }];
+        },
+        transform(node, config) {
+          const attributes = node.transformAttributes(config);
+          const target = parseMdocHref(attributes.href);
+          if (target) {
+            const { href, htmlHref } = resolveLink(target, filePath, state);
+            if (href !== undefined) {
+              attributes.href = href;
+              if (htmlHref !== href) attributes.htmlHref = htmlHref;
+            }
           }
-          console.log(
-            `Partial changed: ${path.relative(rootDir, partial)} -> ${dependents.size} dependent file(s)`
+          return new Markdoc.Tag("a", attributes, node.transformChildren(config));
+        },
+      },
+    },
+    tags: {
+      ...mdrConfig.tags,
+      ol: {
+        render: "ol",
+        attributes: {
+          id: { type: String },
+          start: { type: Number },
+        },
+        transform(node, config) {
+          const tag = new Markdoc.Tag(
+            "ol",
+            node.transformAttributes(config),
+            node.transformChildren(config)
           );
-        }
-      }
-    }
-
-    // Also retry any pending errors
-    for (const mdocPath of pendingErrors) {
-      changedMdocs.add(mdocPath);
-    }
-
-    // Render changed mdoc files
-    let successCount = 0;
-    let errorCount = 0;
+          return track(tag, node, { type: "list" });
+        },
+      },
+      ul: {
+        render: "ul",
+        attributes: {
+          id: { type: String },
+        },
+        transform(node, config) {
+          const tag = new Markdoc.Tag(
+            "ul",
+            node.transformAttributes(config),
+            node.transformChildren(config)
+          );
+          return track(tag, node, { type: "list" });
+        },
+      },
+      li: {
+        render: "li",
+        attributes: {
+          id: { type: String },
+          cl: { type: String, render: "class" },
+        },
+        transform(node, config) {
+          const tag = new Markdoc.Tag(
+            "li",
+            node.transformAttributes(config),
+            node.transformChildren(config)
+          );
+          return track(tag, node, { type: "item" });
+        },
+      },
+      partial: {
+        render: "partial",
+        selfClosing: true,
+        attributes: {
+          file: { type: String, required: true },
+          variables: { type: Object },
+        },
+        transform(node, config) {
+          const file = node.attributes.file;
+          const partialPath = path.resolve(baseDir, file);
+
+          state.dependencies.add(partialPath);
+
+          // A partial that includes itself (directly or through others)
+          // would recurse forever
+          if (state.includeChain.includes(partialPath)) {
+            const rootDir = path.resolve(mdrConfig.templatesDir);
+            const chain = [...state.includeChain, partialPath]
+              .map((p) => path.relative(rootDir, p))
+              .join(" -> ");
+            const message = `Partial include cycle: ${chain}`;
+            if (!diagnostics.some((d) => d.message === message)) {
+              addDiagnostic(diagnostics, filePath, node, "error", message);
+            }
+            return null;
+          }
 
-    for (const mdocPath of changedMdocs) {
-      try {
-        if (renderAndWrite(config, mdocPath)) {
-          successCount++;
-          pendingErrors.delete(mdocPath);
-        } else {
-          errorCount++;
-          pendingErrors.add(mdocPath);
-        }
-      } catch (err) {
-        console.error(
-          `${RED}Error rendering ${mdocPath}: ${err.message}${RESET}`
-        );
-        errorCount++;
-        pendingErrors.add(mdocPath);
-      }
-    }
+          if (!state.fs.exists(partialPath)) {
+            addDiagnostic(
+              diagnostics,
+              filePath,
+              node,
+              "error",
+              `Partial not found: ${file}`
+            );
+            return null;
+          }
 
-    // Clean up orphaned .g.md files (deleted mdocs or any other orphans)
-    cleanupOrphans(config);
+          const source = state.fs.readFile(partialPath);
+          const ast = parseTemplate(source, partialPath);
+          if (state.origins && hasHeadingRefs(ast)) state.headingRefs = true;
 
-    // Show status
-    if (changedMdocs.size > 0) {
-      if (pendingErrors.size === 0) {
-        console.log(`${GREEN}All ok${RESET}\n`);
-      } else {
-        console.log(
-          `${RED}${pendingErrors.size} file(s) pending (missing .g.md)${RESET}\n`
-        );
-      }
-    }
-  }
+          // Pass variables down (undefined ones stay undefined in the partial
+          // so that they are reported)
+          const passed = node.transformAttributes(config).variables || {};
+          const partialVariables = { ...config.variables };
+          for (const [key, value] of Object.entries(passed)) {
+            if (value !== undefined) partialVariables[key] = value;
+          }
 
-  // Schedule processing with debounce
-  function scheduleProcessing() {
-    if (debounceTimer) {
-      clearTimeout(debounceTimer);
-    }
-    debounceTimer = setTimeout(() => {
-      processPendingChanges();
-      debounceTimer = null;
-    }, debounceMs);
-  }
+          // Create config for partial with its own base dir (the document's
+          // ref index covers partials)
+          const partialConfig = createMarkdocConfig(
+            partialPath,
+            state,
+            partialVariables,
+            state.includeScope(scope, filePath, node)
+          );
+          const includedFrom = { file: filePath, line: node.lines?.[0] + 1 };
+          validateAst(ast, partialConfig, partialPath, diagnostics, includedFrom);
+
+          // Inline the partial's content rather than a nested document
+          state.includeChain.push(partialPath);
+          try {
+            return Markdoc.transform(ast, partialConfig).children;
+          } finally {
+            state.includeChain.pop();
+          }
+        },
+      },
+      figure: createCaptionTag("figure", state, track),
+      "table-caption": createCaptionTag("table", state, track),
+      listing: createCaptionTag("listing", state, track),
+      toc: {
+        render: "toc",
+        selfClosing: true,
+        attributes: {
+          file: { type: String },
+          minLevel: { type: Number, matches: [1, 2, 3, 4, 5, 6] },
+          maxLevel: { type: Number, matches: [1, 2, 3, 4, 5, 6] },
+          exclude: { type: Array },
+        },
+        validate(node) {
+          const file = node.attributes.file;
+          if (typeof file !== "string") return [];
+
+          const targetPath = path.resolve(baseDir, file);
+          if (
+            targetPath === state.documentPath ||
+            state.projectIndex.has(targetPath)
+          ) {
+            return [];
+          }
+          return [
+            {
+              id: "toc-document-unknown",
+              level: "error",
+              message: `Unknown document in toc: '${file}'`,
+            },
+          ];
+        },
+        // The document's own TOC is built from the rendered headings once
+        // the whole document is transformed (see expandTocs); another
+        // document's from its heading index
+        transform(node, config) {
+          const attributes = node.transformAttributes(config);
+          if (!attributes.file) return new Markdoc.Tag("toc", attributes);
+
+          const targetPath = path.resolve(baseDir, attributes.file);
+          state.dependencies.add(targetPath);
+          if (targetPath === state.documentPath) {
+            return new Markdoc.Tag("toc", attributes);
+          }
 
-  // Watch a directory recursively
-  function watchDir(dir, watchGmd = false) {
-    if (watchers.has(dir)) return;
+          const targetIndex = state.projectIndex.get(targetPath);
+          if (!targetIndex) return null;
+
+          const outputLink = (format) =>
+            getOutputLink(mdrConfig, state.documentPath, targetPath, format);
+          const headings = [...targetIndex.headings.values()].map((h) => ({
+            ...h,
+            href: `${outputLink("md")}#${h.id}`,
+            htmlHref: `${outputLink("html")}#${h.id}`,
+          }));
+          return buildToc(headings, attributes);
+        },
+      },
+    },
+    functions: {
+      ...mdrConfig.functions,
+      liRef: {
+        validate(fn) {
+          return validateTarget(fn, "ref-unresolved", (selector) =>
+            resolveRef(selector, filePath, state, scope)
+          );
+        },
+        transform(parameters) {
+          const { entry } = resolveTarget("liRef", parameters[0], (selector) =>
+            resolveRef(selector, filePath, state, scope)
+          );
+          if (!entry) return "?";
+          // full=true or a style gives the whole path, e.g. 3.2 or 3b; items
+          // with no enclosing ol have none, so they keep their position
+          const style = parameters.style ?? mdrConfig.listRefStyle;
+          if (!(parameters.full || parameters.style) || !entry.path.length) {
+            return entry.marker;
+          }
+          return formatListPath(entry.path, style);
+        },
+      },
+      // The number of a figure, table or listing; label=true gives e.g.
+      // "Table 3" and link=true a link to it with that text
+      captionRef: {
+        validate(fn) {
+          return validateTarget(fn, "caption-unresolved", (selector) =>
+            resolveCaption(selector, filePath, state)
+          );
+        },
+        transform(parameters) {
+          const { entry, label, href, htmlHref } = resolveTarget(
+            "captionRef",
+            parameters[0],
+            (selector) => resolveCaption(selector, filePath, state)
+          );
+          if (!entry) return "?";
+          if (!parameters.link) return parameters.label ? label : entry.number;
 
-    try {
-      const watcher = fs.watch(dir, (eventType, filename) => {
-        if (!filename) return;
+          // htmlHref is swapped in for HTML output (see prepareHtmlTree)
+          const attributes = htmlHref === href ? { href } : { href, htmlHref };
+          return new Markdoc.Tag("a", attributes, [label]);
+        },
+      },
+      ref: {
+        validate(fn) {
+          return validateTarget(fn, "link-unresolved", (target) =>
+            resolveLink(target, filePath, state)
+          );
+        },
+        transform(parameters) {
+          const { href, htmlHref, text } = resolveTarget(
+            "ref",
+            parameters[0],
+            (target) => resolveLink(target, filePath, state)
+          );
+          if (href === undefined) return "?";
 
-        const filePath = path.join(dir, filename);
+          // htmlHref is swapped in for HTML output (see prepareHtmlTree)
+          const attributes = htmlHref === href ? { href } : { href, htmlHref };
+          return new Markdoc.Tag("a", attributes, [parameters[1] ?? text]);
+        },
+      },
+    },
+  };
+}
 
-        // Handle .mdoc files
-        if (filename.endsWith(".mdoc")) {
-          pendingChanges.add(filePath);
-          scheduleProcessing();
-        }
+// Build a table of contents: a nested list of links to headings
+// ({ id, level, text, href, htmlHref }) between minLevel and maxLevel, minus
+// the excluded ids. Headings under an excluded one keep their place.
+function buildToc(headings, { minLevel = 1, maxLevel = 6, exclude = [] }) {
+  const root = { level: 0, items: [] };
+  const stack = [root];
+
+  for (const heading of headings) {
+    if (heading.level < minLevel || heading.level > maxLevel) continue;
+    if (exclude.includes(heading.id)) continue;
+
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    const item = { level: heading.level, heading, items: [] };
+    stack[stack.length - 1].items.push(item);
+    stack.push(item);
+  }
 
-        // Handle .g.md file creation (for pending errors)
-        if (filename.endsWith(".g.md") && pendingErrors.size > 0) {
-          scheduleProcessing();
-        }
+  const toList = (items) =>
+    new Markdoc.Tag(
+      "ul",
+      {},
+      items.map(({ heading, items: subItems }) => {
+        const { href, htmlHref, text } = heading;
+        const attributes = htmlHref === href ? { href } : { href, htmlHref };
+        const link = new Markdoc.Tag("a", attributes, [text]);
+        return new Markdoc.Tag(
+          "li",
+          {},
+          subItems.length > 0 ? [link, toList(subItems)] : [link]
+        );
+      })
+    );
 
-        // Handle new directories
-        if (
-          eventType === "rename" &&
-          fs.existsSync(filePath) &&
-          fs.statSync(filePath).isDirectory() &&
-          !filename.startsWith(".") &&
-          filename !== "node_modules"
-        ) {
-          const isOutputDir = dir === rootDir && filename === outputDirName;
-          watchDir(filePath, isOutputDir || watchGmd);
-        }
-      });
+  return root.items.length > 0 ? toList(root.items) : null;
+}
 
-      watchers.set(dir, watcher);
-
-      // Watch subdirectories
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        if (
-          entry.isDirectory() &&
-          !entry.name.startsWith(".") &&
-          entry.name !== "node_modules"
-        ) {
-          const isOutputDir = dir === rootDir && entry.name === outputDirName;
-          if (isOutputDir || watchGmd || entry.name !== outputDirName) {
-            watchDir(path.join(dir, entry.name), isOutputDir || watchGmd);
-          }
-        }
-      }
-    } catch (err) {
-      console.error(`${RED}Error watching ${dir}: ${err.message}${RESET}`);
+// Replace toc placeholders with a table of contents of the rendered
+// document. Anchors are the ones the Markdown output has: the explicit id,
+// else GitHub's slug of the heading text.
+function expandTocs(content) {
+  const headings = [];
+  const slugger = createSlugger();
+
+  function collect(node) {
+    if (Array.isArray(node)) return node.forEach(collect);
+    if (!Markdoc.Tag.isTag(node)) return;
+
+    if (/^h[1-6]$/.test(node.name)) {
+      const text = plainText(node.children).trim();
+      const slug = slugger(text);
+      const id = node.attributes.id || slug;
+      const level = Number(node.name[1]);
+      headings.push({ id, level, text, href: `#${id}`, htmlHref: `#${id}` });
     }
+    node.children.forEach(collect);
+  }
+
+  function replace(node) {
+    if (Array.isArray(node)) return node.map(replace);
+    if (!Markdoc.Tag.isTag(node)) return node;
+    if (node.name === "toc") return buildToc(headings, node.attributes);
+    return new Markdoc.Tag(node.name, node.attributes, node.children.map(replace));
   }
 
-  // Initial build (but don't exit on error in watch mode)
-  const mdocFiles = findMdocFiles(rootDir, config);
+  collect(content);
+  return replace(content);
+}
 
-  if (mdocFiles.length === 0) {
-    console.log("No .mdoc files found");
-  } else {
-    // Clean up orphaned .g.md files first
-    const deletedCount = cleanupOrphans(config);
-    if (deletedCount > 0) {
-      console.log();
-    }
+// Prepare a rendered tree for Markdoc's HTML renderer: unwrap list items that
+// Markdoc wraps in paragraphs and point ref links at HTML outputs
+function prepareHtmlTree(node) {
+  if (Array.isArray(node)) return node.map(prepareHtmlTree);
+  if (!Markdoc.Tag.isTag(node)) return node;
+
+  const children = node.children.map(prepareHtmlTree);
+  if (node.name === "p" && children.some((c) => c?.name === "li")) {
+    return children.filter(
+      (c) => c?.name === "li" || c?.name === "ol" || c?.name === "ul"
+    );
+  }
+  if (node.name === "p" && children.some((c) => c?.name === "figure")) {
+    return splitParagraph(children);
+  }
 
-    let successCount = 0;
+  const { htmlHref, ...attributes } = node.attributes;
+  if (htmlHref !== undefined) attributes.href = htmlHref;
+  return new Markdoc.Tag(node.name, attributes, children);
+}
 
-    for (const mdocPath of mdocFiles) {
-      if (renderAndWrite(config, mdocPath)) {
-        successCount++;
-      } else {
-        pendingErrors.add(mdocPath);
-      }
+// Close a paragraph around the figures written inline in it, since a
+// <figure> can't be inside a <p>
+function splitParagraph(children) {
+  const result = [];
+  let run = [];
+  const flush = () => {
+    if (run.some((c) => typeof c !== "string" || c.trim())) {
+      result.push(new Markdoc.Tag("p", {}, run));
     }
-
-    if (pendingErrors.size === 0) {
-      console.log(`\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)`);
+    run = [];
+  };
+  for (const child of children) {
+    if (child?.name === "figure") {
+      flush();
+      result.push(child);
     } else {
-      console.log(
-        `\n${RED}Rendered ${successCount} file(s), ${pendingErrors.size} error(s)${RESET}`
-      );
+      run.push(child);
     }
   }
+  flush();
+  return result;
+}
 
-  // Start watching (including output directory for .g.md creation)
-  watchDir(rootDir);
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-  console.log(`\nWatching for changes... (press Ctrl+C to stop)\n`);
+// Wrap rendered HTML in a layout with {{ content }} and {{ title }} slots
+function applyLayout(layout, html, title) {
+  return layout
+    .replace(/\{\{\s*content\s*\}\}/g, () => html)
+    .replace(/\{\{\s*title\s*\}\}/g, () => escapeHtml(title));
 }
 
-// Render and write a single file, creating output file if needed (for push mode)
-function renderAndWriteForce(config, mdocPath) {
-  const rootDir = path.resolve(config.templatesDir);
-  const relativePath = path.relative(rootDir, mdocPath);
-  const outputPath = getOutputPath(config, mdocPath);
+// "Do not edit" header comment of generated files
+const HEADER_PATTERN =
+  /<!-- Generated by mdr from (.+?) - do not edit \(checksum ([0-9a-f]{16})\) -->\n/;
 
-  // Create directory if needed
-  const outputDir = path.dirname(outputPath);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
+// Checksum of an output without its header
+function headerChecksum(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, 16);
+}
 
-  const md = renderFile(mdocPath);
-  const isNew = !fs.existsSync(outputPath);
-  fs.writeFileSync(outputPath, md);
+// Add a "do not edit" header naming the template to an output (after its
+// frontmatter or doctype), with a checksum of the rest of the output
+function addGeneratedHeader(content, source, format) {
+  // The output without its header is the content itself
+  const checksum = headerChecksum(content);
+  const header = `<!-- Generated by mdr from ${source} - do not edit (checksum ${checksum}) -->\n`;
+  const prefix = format === "md" ? /^---\n[\s\S]*?\n---\n\n/ : /^<!doctype[^>]*>\n/i;
+  const at = prefix.exec(content)?.[0].length ?? 0;
+  return (
+    content.slice(0, at) +
+    header +
+    (format === "md" ? "\n" : "") +
+    content.slice(at)
+  );
+}
+
+// Check an output's "do not edit" header: returns null if it has none, or
+// whether the rest of the output still matches its checksum
+function checkGeneratedHeader(content) {
+  const match = HEADER_PATTERN.exec(content);
+  if (!match) return null;
+
+  // In Markdown, a blank line follows the header
+  const before = content.slice(0, match.index);
+  const after = content.slice(match.index + match[0].length);
+  return [after, after.replace(/^\n/, "")].some(
+    (rest) => headerChecksum(before + rest) === match[2]
+  );
+}
 
-  if (isNew) {
-    console.log(
-      `${GREEN}Created:${RESET} ${relativePath} -> ${path.relative(rootDir, outputPath)}`
+// Parse a document's YAML frontmatter into an object (empty if there is none)
+function parseFrontmatter(ast, file, diagnostics) {
+  const source = ast.attributes.frontmatter;
+  if (!source) return {};
+
+  try {
+    const data = yaml.load(source);
+    if (data === null || data === undefined) return {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      addDiagnostic(
+        diagnostics,
+        file,
+        null,
+        "error",
+        "Frontmatter must be a YAML mapping"
+      );
+      return {};
+    }
+    return data;
+  } catch (err) {
+    // js-yaml lines are relative to the frontmatter, which starts on line 2
+    const node = err.mark ? { lines: [err.mark.line + 1] } : null;
+    addDiagnostic(
+      diagnostics,
+      file,
+      node,
+      "error",
+      `Invalid frontmatter: ${err.reason || err.message}`
     );
-  } else {
-    console.log(`${relativePath} -> ${path.relative(rootDir, outputPath)}`);
+    return {};
   }
-  return true;
 }
 
-// Push mode - clean orphans and (re)create all .g.md files
-function push(config) {
-  const rootDir = path.resolve(config.templatesDir);
-
-  // Clean up orphaned .g.md files first
-  const deletedCount = cleanupOrphans(config);
-  if (deletedCount > 0) {
-    console.log();
+// Select the frontmatter to re-emit in Markdown output: true for all of it,
+// an array of keys, or a function (frontmatter, file) => frontmatter
+function selectFrontmatter(frontmatter, setting, file) {
+  if (!setting) return null;
+  if (setting === true) return frontmatter;
+  if (Array.isArray(setting)) {
+    return Object.fromEntries(
+      setting
+        .filter((key) => frontmatter[key] !== undefined)
+        .map((key) => [key, frontmatter[key]])
+    );
   }
+  return setting(frontmatter, file);
+}
 
-  // Find all .mdoc files
-  const mdocFiles = findMdocFiles(rootDir, config);
+// Render a template to Markdown without writing anything. Options:
+//   source         Template source (read from `file` if omitted)
+//   file           Template path, used to resolve partials and links
+//   fs             File system adapter { readFile, exists } (default: Node's)
+//   templatesDir   Root of the templates (default: the template's directory)
+//   outputDir      Where .g.md files go, for links (default: templatesDir)
+//   projectIndex   Documents for cross-document refs (buildProjectIndex);
+//                  the template's own entry is used as its index
+//   format, templateFormats, layout   Output formats and HTML layout path
+//   frontmatter    Which frontmatter to re-emit in Markdown (see
+//                  selectFrontmatter)
+//   header         Add a "do not edit" header to outputs
+//   listRefStyle   Style of full liRef numbers (see formatListPath)
+//   captions       Caption numbering and labels ({ chapterLevel, labels })
+//   tags, nodes, functions, renderers   Plugins, as in mdr.config.js
+// Returns { markdown, html, diagnostics, dependencies }. html is only set if
+// the template's formats include "html"; markdown and html are null if
+// rendering threw; dependencies are the partials and documents it used.
+function renderTemplate(options) {
+  const fsAdapter = options.fs || nodeFs;
+  const filePath = path.resolve(options.file || "template.mdoc");
+  const templatesDir = options.templatesDir ?? path.dirname(filePath);
+  const config = {
+    ...options,
+    templatesDir,
+    outputDir: options.outputDir ?? templatesDir,
+  };
+  const diagnostics = [];
+  const dependencies = new Set();
+
+  try {
+    const source = options.source ?? fsAdapter.readFile(filePath);
+    const ast = parseTemplate(source, filePath);
+
+    // Frontmatter is available as $frontmatter and as top-level variables,
+    // next to the config's (build variant's) variables
+    const frontmatter = parseFrontmatter(ast, filePath, diagnostics);
+    const variables = { ...config.variables, ...frontmatter, frontmatter };
+
+    // Index list items, captions and headings as the document renders,
+    // unless the project index has them (for the source on disk)
+    const indexed =
+      options.source === undefined && options.projectIndex?.get(filePath);
+    let documentIndex;
+    if (indexed) {
+      documentIndex = indexed;
+      diagnostics.push(...indexed.diagnostics);
+    } else {
+      documentIndex = indexDocument(
+        ast,
+        filePath,
+        config,
+        variables,
+        fsAdapter,
+        diagnostics,
+        options.projectIndex
+      );
+    }
+    const state = {
+      config,
+      diagnostics,
+      dependencies,
+      documentPath: filePath,
+      documentIndex,
+      fs: fsAdapter,
+      includeChain: [filePath],
+      includeScope: createIncludeScopes(),
+      captionCount: 0,
+      projectIndex: options.projectIndex || new Map(),
+      slugger: createSlugger(),
+    };
+
+    // Create config with the ref function
+    const markdocConfig = createMarkdocConfig(filePath, state, variables);
+    validateAst(ast, markdocConfig, filePath, diagnostics);
+
+    const content = expandTocs(Markdoc.transform(ast, markdocConfig));
+    let markdown = renderToMarkdown(content, {
+      slugger: createSlugger(),
+      renderers: config.renderers || {},
+    });
+
+    const emitted = selectFrontmatter(frontmatter, config.frontmatter, filePath);
+    if (emitted && Object.keys(emitted).length > 0) {
+      markdown = `---\n${yaml.dump(emitted)}---\n\n${markdown}`;
+    }
 
-  if (mdocFiles.length === 0) {
-    console.log("No .mdoc files found");
-    return;
-  }
+    const templateName = path
+      .relative(templatesDir, filePath)
+      .split(path.sep)
+      .join("/");
+    if (config.header) {
+      markdown = addGeneratedHeader(markdown, templateName, "md");
+    }
 
-  let successCount = 0;
-  let createdCount = 0;
+    let html;
+    if (getOutputFormats(config, filePath).includes("html")) {
+      html = Markdoc.renderers.html(prepareHtmlTree(content.children)) + "\n";
 
-  for (const mdocPath of mdocFiles) {
-    const outputPath = getOutputPath(config, mdocPath);
-    const isNew = !fs.existsSync(outputPath);
+      if (config.layout) {
+        const layoutPath = path.resolve(config.layout);
+        dependencies.add(layoutPath);
+        if (fsAdapter.exists(layoutPath)) {
+          const title = [...documentIndex.headings.values()].find(
+            (h) => h.level === 1
+          );
+          html = applyLayout(
+            fsAdapter.readFile(layoutPath),
+            html,
+            title?.text ?? path.basename(filePath, ".mdoc")
+          );
+        } else {
+          addDiagnostic(
+            diagnostics,
+            filePath,
+            null,
+            "error",
+            `Layout not found: ${config.layout}`
+          );
+        }
+      }
 
-    try {
-      renderAndWriteForce(config, mdocPath);
-      successCount++;
-      if (isNew) createdCount++;
-    } catch (err) {
-      console.error(
-        `${RED}Error rendering ${path.relative(rootDir, mdocPath)}: ${err.message}${RESET}`
-      );
+      if (config.header) {
+        html = addGeneratedHeader(html, templateName, "html");
+      }
     }
-  }
 
-  console.log(
-    `\n${GREEN}All ok${RESET} - Rendered ${successCount} file(s)${createdCount > 0 ? `, created ${createdCount} new` : ""}`
-  );
+    return { markdown, html, diagnostics, dependencies: [...dependencies] };
+  } catch (err) {
+    addDiagnostic(diagnostics, filePath, null, "error", err.message);
+    return {
+      markdown: null,
+      html: null,
+      diagnostics,
+      dependencies: [...dependencies],
+    };
+  }
 }
 
-module.exports = { render, watch, push };
+module.exports = {
+  renderTemplate,
+  buildProjectIndex,
+  buildPartialDependencyMap,
+  buildCrossRefDependencyMap,
+  findChangedRefTargets,
+  summarizeDocumentIndex,
+  parseLinkTarget,
+  parseMdocHref,
+  parseRefSelector,
+  formatListPath,
+  getOutputPath,
+  escapeHtml,
+  getOutputFormats,
+  getMdocPath,
+  hasErrors,
+  checkGeneratedHeader,
+  nodeFs,
+  createMemoryFs,
+};
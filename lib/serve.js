@@ -0,0 +1,226 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const MarkdownIt = require("markdown-it");
+const { createSlugger } = require("./markdown.js");
+const { escapeHtml } = require("./render.js");
+
+const EVENTS_PATH = "/__mdr/events";
+
+const CONTENT_TYPES = {
+  ".css": "text/css",
+  ".gif": "image/gif",
+  ".html": "text/html",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+  ".webp": "image/webp",
+};
+
+// Browser side: reload when the shown page (or, on the index, any page) was
+// re-rendered, and show render errors in an overlay
+const CLIENT_SCRIPT = `<script>
+(() => {
+  const events = new EventSource(${JSON.stringify(EVENTS_PATH)});
+  events.addEventListener("update", (event) => {
+    const { changed, errors } = JSON.parse(event.data);
+    const page = location.pathname;
+    if (changed.includes(page) || (page === "/" && changed.length > 0)) {
+      location.reload();
+      return;
+    }
+
+    let overlay = document.getElementById("mdr-errors");
+    if (errors.length === 0) {
+      if (overlay) overlay.remove();
+      return;
+    }
+    if (!overlay) {
+      overlay = document.createElement("pre");
+      overlay.id = "mdr-errors";
+      overlay.style.cssText =
+        "position:fixed;inset:0;margin:0;padding:2em;overflow:auto;z-index:9999;" +
+        "background:rgba(20,0,0,.92);color:#ffb4b4;font:14px/1.5 monospace;white-space:pre-wrap";
+      document.body.appendChild(overlay);
+    }
+    overlay.textContent = "Render errors\\n\\n" + errors.join("\\n");
+  });
+})();
+</script>`;
+
+// Page around a rendered .g.md file (or the index)
+function previewPage(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { max-width: 50em; margin: 2em auto; padding: 0 1em; font: 16px/1.6 sans-serif; }
+pre, code { background: #f4f4f4; }
+pre { padding: 1em; overflow: auto; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; }
+blockquote { margin-left: 0; padding-left: 1em; border-left: 4px solid #ddd; color: #555; }
+</style>
+</head>
+<body>
+${body}
+${CLIENT_SCRIPT}
+</body>
+</html>
+`;
+}
+
+// Create a Markdown renderer whose headings get GitHub's anchor ids, so that
+// heading links and tables of contents work like on GitHub
+function createMarkdownRenderer() {
+  const markdown = new MarkdownIt({ html: true });
+  markdown.core.ruler.push("heading_ids", (state) => {
+    const slugger = createSlugger();
+    state.tokens.forEach((token, i) => {
+      if (token.type !== "heading_open") return;
+      const text = state.tokens[i + 1].children
+        .filter((child) => child.type === "text" || child.type === "code_inline")
+        .map((child) => child.content)
+        .join("");
+      token.attrSet("id", slugger(text));
+    });
+  });
+  return markdown;
+}
+
+// Find generated files under the output directory (as URL paths)
+function listPages(outputDir, dir = outputDir, pages = []) {
+  if (!fs.existsSync(dir)) return pages;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listPages(outputDir, fullPath, pages);
+    } else if (/\.g\.(md|html)$/.test(entry.name)) {
+      pages.push(toUrlPath(outputDir, fullPath));
+    }
+  }
+  return pages.sort();
+}
+
+// URL path of a file in the output directory
+function toUrlPath(outputDir, filePath) {
+  const relativePath = path.relative(outputDir, filePath);
+  return encodeURI("/" + relativePath.split(path.sep).join("/"));
+}
+
+// Create the live preview server for watch mode. It serves the output
+// directory with .g.md files rendered to HTML, and pushes updates to open
+// pages over Server-Sent Events. Returns { server, update(changed, errors),
+// setConfig(config) } where changed are the written output paths and errors
+// the current render errors as lines of text; the caller starts the server
+// with listen().
+function createPreviewServer(config) {
+  let outputDir = path.resolve(config.outputDir);
+  const markdown = createMarkdownRenderer();
+  const clients = new Set();
+  let lastUpdate = { changed: [], errors: [] };
+
+  const send = (res, update) => {
+    res.write(`event: update\ndata: ${JSON.stringify(update)}\n\n`);
+  };
+
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      res.end("Bad request");
+      return;
+    }
+
+    if (urlPath === EVENTS_PATH) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+
+      // Show errors that are already there when the page (re)loads
+      send(res, { changed: [], errors: lastUpdate.errors });
+      return;
+    }
+
+    if (urlPath === "/") {
+      const links = listPages(outputDir).map((page) => {
+        const name = escapeHtml(decodeURI(page.slice(1)));
+        return `<li><a href="${page}">${name}</a></li>`;
+      });
+      const body = `<h1>Documents</h1>\n<ul>\n${links.join("\n")}\n</ul>`;
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(previewPage("mdr preview", body));
+      return;
+    }
+
+    // Only serve files inside the output directory
+    const filePath = path.join(outputDir, urlPath);
+    if (
+      !filePath.startsWith(outputDir + path.sep) ||
+      !fs.existsSync(filePath) ||
+      !fs.statSync(filePath).isFile()
+    ) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
+
+    if (filePath.endsWith(".g.md")) {
+      // Frontmatter re-emitted in the output isn't part of the page
+      const source = fs
+        .readFileSync(filePath, "utf-8")
+        .replace(/^---\n[\s\S]*?\n---\n/, "");
+      const title = /^# (.+)$/m.exec(source)?.[1] ?? path.basename(filePath);
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(previewPage(title, markdown.render(source)));
+      return;
+    }
+
+    if (filePath.endsWith(".g.html")) {
+      const html = fs.readFileSync(filePath, "utf-8");
+      const withScript = html.includes("</body>")
+        ? html.replace("</body>", () => `${CLIENT_SCRIPT}\n</body>`)
+        : html + CLIENT_SCRIPT;
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(withScript);
+      return;
+    }
+
+    const contentType =
+      CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream";
+    res.writeHead(200, { "Content-Type": contentType });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  function update(changed, errors) {
+    lastUpdate = {
+      changed: changed.map((filePath) => toUrlPath(outputDir, filePath)),
+      errors,
+    };
+    for (const res of clients) {
+      send(res, lastUpdate);
+    }
+  }
+
+  // Serve another output directory after a config reload
+  function setConfig(newConfig) {
+    outputDir = path.resolve(newConfig.outputDir);
+  }
+
+  return { server, update, setConfig };
+}
+
+module.exports = { createPreviewServer };
@@ -0,0 +1,16 @@
+// Worker thread for renderAll: loads the config (plugins can't be sent to
+// a thread) and renders the templates it is sent
+const { parentPort, workerData } = require("worker_threads");
+const { loadConfigFile, selectVariants } = require("./config.js");
+const { renderTemplate } = require("./render.js");
+
+const { configPath, variant, projectIndex } = workerData;
+const configLoaded = loadConfigFile(configPath).then(
+  (config) => selectVariants(config, variant)[0]
+);
+
+parentPort.on("message", async (file) => {
+  const config = await configLoaded;
+  const result = renderTemplate({ ...config, file, projectIndex });
+  parentPort.postMessage({ file, result });
+});
@@ -0,0 +1,87 @@
+// Tests of config validation
+const assert = require("assert");
+const { test } = require("node:test");
+const { validateConfig } = require("../lib/config.js");
+
+const BASE = { templatesDir: "templates", outputDir: "docs" };
+
+test("a minimal config is valid", () => {
+  assert.deepStrictEqual(validateConfig(BASE), []);
+  assert.deepStrictEqual(validateConfig(null), ["The config must be an object"]);
+});
+
+test("required options", () => {
+  assert.deepStrictEqual(validateConfig({}), [
+    "'templatesDir' is required",
+    "'outputDir' is required",
+  ]);
+  // Variants have their own outputDir
+  const variants = [{ name: "cloud", outputDir: "cloud" }];
+  assert.deepStrictEqual(
+    validateConfig({ templatesDir: "templates", variants }),
+    []
+  );
+});
+
+test("unknown options suggest a known one", () => {
+  assert.deepStrictEqual(validateConfig({ ...BASE, outDir: "x" }), [
+    "Unknown option 'outDir' (did you mean 'outputDir'?)",
+  ]);
+  assert.deepStrictEqual(validateConfig({ ...BASE, colour: true }), [
+    "Unknown option 'colour'",
+  ]);
+});
+
+test("option types", () => {
+  assert.deepStrictEqual(
+    validateConfig({ ...BASE, ignore: "drafts", manifest: true }),
+    [
+      "'ignore' must be string[] (got string)",
+      "'manifest' must be string or false (got boolean)",
+    ]
+  );
+  assert.deepStrictEqual(validateConfig({ ...BASE, manifest: false }), []);
+  assert.deepStrictEqual(validateConfig({ ...BASE, variables: null }), [
+    "'variables' must be object (got null)",
+  ]);
+});
+
+test("caption options", () => {
+  const captions = { chapterLevel: "2", label: {} };
+  assert.deepStrictEqual(validateConfig({ ...BASE, captions }), [
+    "'captions.chapterLevel' must be number (got string)",
+    "Unknown option 'captions.label' (did you mean 'labels'?)",
+  ]);
+});
+
+test("variants", () => {
+  const variants = [
+    { name: "cloud", outputDir: "cloud", variable: {} },
+    { name: "cloud" },
+    "onprem",
+  ];
+  assert.deepStrictEqual(validateConfig({ ...BASE, variants }), [
+    "Unknown option 'variants[0].variable' (did you mean 'variables'?)",
+    "'variants[1].outputDir' is required",
+    "Duplicate variant 'cloud'",
+    "'variants[2]' must be object",
+  ]);
+});
+
+test("formats", () => {
+  assert.deepStrictEqual(
+    validateConfig({ ...BASE, format: ["md", "html"], templateFormats: {} }),
+    []
+  );
+  assert.deepStrictEqual(validateConfig({ ...BASE, format: "htm" }), [
+    "Unknown format 'htm' in 'format' (did you mean 'html'?)",
+  ]);
+  assert.deepStrictEqual(validateConfig({ ...BASE, format: ["md", "docx"] }), [
+    "Unknown format 'docx' in 'format'",
+  ]);
+  const templateFormats = { api: "html", guides: ["md", "mdx"], blog: 1 };
+  assert.deepStrictEqual(validateConfig({ ...BASE, templateFormats }), [
+    "Unknown format 'mdx' in 'templateFormats.guides' (did you mean 'md'?)",
+    "'templateFormats.blog' must be string or string[]",
+  ]);
+});
@@ -0,0 +1,44 @@
+// Tests of glob patterns (config.ignore, .mdrignore and CLI arguments)
+const assert = require("assert");
+const { test } = require("node:test");
+const { isGlob, globToRegExp } = require("../lib/glob.js");
+
+const matches = (pattern, filePath) => globToRegExp(pattern).test(filePath);
+
+test("isGlob", () => {
+  assert.strictEqual(isGlob("docs/*.mdoc"), true);
+  assert.strictEqual(isGlob("docs/a?.mdoc"), true);
+  assert.strictEqual(isGlob("docs/[ab].mdoc"), true);
+  assert.strictEqual(isGlob("docs/install.mdoc"), false);
+});
+
+test("* and ? match within a segment", () => {
+  assert.strictEqual(matches("*.mdoc", "install.mdoc"), true);
+  assert.strictEqual(matches("*.mdoc", "docs/install.mdoc"), false);
+  assert.strictEqual(matches("a?.mdoc", "ab.mdoc"), true);
+  assert.strictEqual(matches("a?.mdoc", "a/.mdoc"), false);
+});
+
+test("** matches any number of segments", () => {
+  assert.strictEqual(matches("docs/**", "docs/a/b.mdoc"), true);
+  assert.strictEqual(matches("docs/**/*.mdoc", "docs/a/b/c.mdoc"), true);
+  // "**/" also matches no directory at all
+  assert.strictEqual(matches("**/drafts", "drafts"), true);
+  assert.strictEqual(matches("docs/**/*.mdoc", "docs/c.mdoc"), true);
+  assert.strictEqual(matches("docs/**/*.mdoc", "docsc.mdoc"), false);
+});
+
+test("character classes", () => {
+  assert.strictEqual(matches("[ab].mdoc", "a.mdoc"), true);
+  assert.strictEqual(matches("[ab].mdoc", "c.mdoc"), false);
+  assert.strictEqual(matches("[!ab].mdoc", "c.mdoc"), true);
+  assert.strictEqual(matches("[!ab].mdoc", "a.mdoc"), false);
+  assert.strictEqual(matches("[a-c].mdoc", "b.mdoc"), true);
+});
+
+test("other characters are literal", () => {
+  assert.strictEqual(matches("a.mdoc", "a.mdoc"), true);
+  assert.strictEqual(matches("a.mdoc", "abmdoc"), false);
+  assert.strictEqual(matches("(a)+.mdoc", "(a)+.mdoc"), true);
+  assert.strictEqual(matches("[a.mdoc", "[a.mdoc"), true);
+});
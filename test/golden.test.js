@@ -0,0 +1,37 @@
+// Golden tests of the Markdown serializer. Each test/golden/<name>.mdoc is
+// rendered and compared with <name>.g.md, and the output has to parse back
+// to the same HTML as the template itself under markdown-it (CommonMark and
+// GFM tables/strikethrough). Run with UPDATE_GOLDEN=1 to rewrite the .g.md
+// files after a deliberate change, then review their diff.
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { test } = require("node:test");
+const MarkdownIt = require("markdown-it");
+const { renderTemplate } = require("../lib/index.js");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const markdownIt = new MarkdownIt({ html: true });
+
+const cases = fs
+  .readdirSync(GOLDEN_DIR)
+  .filter((name) => name.endsWith(".mdoc"))
+  .map((name) => name.replace(/\.mdoc$/, ""));
+
+for (const name of cases) {
+  test(name, () => {
+    const file = path.join(GOLDEN_DIR, `${name}.mdoc`);
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.g.md`);
+    const { markdown, diagnostics } = renderTemplate({ file });
+    assert.deepStrictEqual(diagnostics, []);
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, markdown);
+    }
+    assert.strictEqual(markdown, fs.readFileSync(goldenPath, "utf-8"));
+
+    // Round trip: the output means the same as the template
+    const source = fs.readFileSync(file, "utf-8");
+    assert.strictEqual(markdownIt.render(markdown), markdownIt.render(source));
+  });
+}
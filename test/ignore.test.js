@@ -0,0 +1,63 @@
+// Tests of ignore rules (config.ignore and .mdrignore), which follow
+// gitignore
+const assert = require("assert");
+const path = require("path");
+const { test } = require("node:test");
+const { isIgnored } = require("../lib/ignore.js");
+
+// A templatesDir without an ignore file
+const TEMPLATES_DIR = path.join(__dirname, "no-templates");
+
+// Check paths relative to templatesDir against ignore patterns
+function checker(ignore) {
+  const config = { templatesDir: TEMPLATES_DIR, ignore };
+  return (relativePath, isDirectory) =>
+    isIgnored(config, path.join(TEMPLATES_DIR, relativePath), isDirectory);
+}
+
+test("unanchored patterns match at any depth", () => {
+  const ignored = checker(["*.draft.mdoc"]);
+  assert.strictEqual(ignored("a.draft.mdoc"), true);
+  assert.strictEqual(ignored("docs/deep/a.draft.mdoc"), true);
+  assert.strictEqual(ignored("a.mdoc"), false);
+});
+
+test("a slash anchors a pattern to templatesDir", () => {
+  const ignored = checker(["/drafts", "docs/old.mdoc"]);
+  assert.strictEqual(ignored("drafts/a.mdoc"), true);
+  assert.strictEqual(ignored("docs/drafts/a.mdoc"), false);
+  assert.strictEqual(ignored("docs/old.mdoc"), true);
+  assert.strictEqual(ignored("more/docs/old.mdoc"), false);
+});
+
+test("a trailing slash matches directories only", () => {
+  const ignored = checker(["drafts/"]);
+  assert.strictEqual(ignored("drafts", true), true);
+  assert.strictEqual(ignored("drafts/a.mdoc"), true);
+  assert.strictEqual(ignored("drafts"), false);
+});
+
+test("the last matching pattern wins", () => {
+  const ignored = checker(["*.mdoc", "!keep.mdoc"]);
+  assert.strictEqual(ignored("a.mdoc"), true);
+  assert.strictEqual(ignored("keep.mdoc"), false);
+  assert.strictEqual(checker(["!keep.mdoc", "*.mdoc"])("keep.mdoc"), true);
+});
+
+test("nothing under an ignored directory can be re-included", () => {
+  const ignored = checker(["drafts/", "!drafts/keep.mdoc"]);
+  assert.strictEqual(ignored("drafts/keep.mdoc"), true);
+});
+
+test("comments, blank lines and escapes", () => {
+  const ignored = checker(["# comment", "", "\\#hash.mdoc", "\\!bang.mdoc"]);
+  assert.strictEqual(ignored("comment"), false);
+  assert.strictEqual(ignored("#hash.mdoc"), true);
+  assert.strictEqual(ignored("!bang.mdoc"), true);
+});
+
+test("paths outside templatesDir are never ignored", () => {
+  const ignored = checker(["*"]);
+  assert.strictEqual(ignored("../a.mdoc"), false);
+  assert.strictEqual(ignored("a.mdoc"), true);
+});
@@ -0,0 +1,35 @@
+// Tests of full liRef numbers in the styles of listRefStyle
+const assert = require("assert");
+const { test } = require("node:test");
+const { formatListPath } = require("../lib/render.js");
+
+test("numbers", () => {
+  assert.strictEqual(formatListPath([3, 2]), "3.2");
+  assert.strictEqual(formatListPath([3, 2], "1-1"), "3-2");
+  assert.strictEqual(formatListPath([7]), "7");
+});
+
+test("letters", () => {
+  assert.strictEqual(formatListPath([3, 2], "1a"), "3b");
+  assert.strictEqual(formatListPath([1, 26], "1.A"), "1.Z");
+  // After z come two letters
+  assert.strictEqual(formatListPath([1, 27], "1a"), "1aa");
+  assert.strictEqual(formatListPath([1, 53], "1a"), "1ba");
+});
+
+test("roman numerals", () => {
+  assert.strictEqual(formatListPath([1, 2, 4], "1.a.i"), "1.b.iv");
+  assert.strictEqual(formatListPath([9, 40], "I.i"), "IX.xl");
+  assert.strictEqual(formatListPath([1994], "I"), "MCMXCIV");
+});
+
+test("deeper levels repeat the last counter and separator", () => {
+  assert.strictEqual(formatListPath([1, 2, 3, 4], "1.a"), "1.b.c.d");
+  assert.strictEqual(formatListPath([1, 2, 3], "1"), "1.2.3");
+  assert.strictEqual(formatListPath([1, 2, 3], "1)a"), "1)b)c");
+});
+
+test("function styles get the numbers", () => {
+  const style = (numbers) => numbers.join("/");
+  assert.strictEqual(formatListPath([3, 2], style), "3/2");
+});
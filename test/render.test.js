@@ -0,0 +1,195 @@
+// Tests of renderTemplate with templates in memory
+const assert = require("assert");
+const { test } = require("node:test");
+const {
+  renderTemplate,
+  buildProjectIndex,
+  createMemoryFs,
+} = require("../lib/index.js");
+
+// Render /docs/a.mdoc from files in memory
+function render(files, options = {}) {
+  const fs = createMemoryFs(files);
+  return renderTemplate({ file: "/docs/a.mdoc", fs, ...options });
+}
+
+test("HTML layout gets the content and title", () => {
+  const { html, diagnostics } = render(
+    {
+      "/docs/a.mdoc": "# Setup {% $product %}\n\nHello.\n",
+      "/docs/layout.html": "<title>{{ title }}</title>\n{{ content }}",
+    },
+    {
+      format: "html",
+      layout: "/docs/layout.html",
+      variables: { product: "Acme" },
+    }
+  );
+  assert.deepStrictEqual(diagnostics, []);
+  assert.strictEqual(
+    html,
+    '<title>Setup Acme</title>\n<h1 id="setup-acme">Setup Acme</h1><p>Hello.</p>\n'
+  );
+});
+
+test("HTML layout title falls back to the file name", () => {
+  const { html } = render(
+    {
+      "/docs/a.mdoc": "Hello.\n",
+      "/docs/layout.html": "<title>{{ title }}</title>",
+    },
+    { format: "html", layout: "/docs/layout.html" }
+  );
+  assert.strictEqual(html, "<title>a</title>");
+});
+
+test("liRef with a variable selector", () => {
+  const source = [
+    "{% ol %}",
+    "{% li cl=\"one\" %} One {% /li %}",
+    "{% li cl=\"two\" %} Two {% /li %}",
+    "{% /ol %}",
+    "",
+    "Step {% liRef($step) %}, {% liRef($missing) %}, {% liRef() %}.",
+    "",
+  ].join("\n");
+  const { markdown, diagnostics } = render(
+    { "/docs/a.mdoc": source },
+    { variables: { step: ".two", missing: ".three" } }
+  );
+  assert.match(markdown, /Step 2, \?, \?\./);
+  assert.deepStrictEqual(
+    diagnostics.map(({ line, message }) => ({ line, message })),
+    [
+      { line: 6, message: "liRef() needs a string as its first argument" },
+      { line: undefined, message: "Unresolved reference: '.three'" },
+    ]
+  );
+});
+
+test("ref with a variable target", () => {
+  const source = [
+    "## Install",
+    "",
+    "See {% ref($target) %}, {% ref($missing) %}, {% ref() %}.",
+    "",
+  ].join("\n");
+  const { markdown, diagnostics } = render(
+    { "/docs/a.mdoc": source },
+    { variables: { target: "#install", missing: "#setup" } }
+  );
+  assert.match(markdown, /See \[Install\]\(#install\), \?, \?\./);
+  assert.deepStrictEqual(
+    diagnostics.map(({ line, message }) => ({ line, message })),
+    [
+      { line: 3, message: "ref() needs a string as its first argument" },
+      { line: undefined, message: "Unresolved heading in link: '#setup'" },
+    ]
+  );
+});
+
+test("captionRef with a variable selector", () => {
+  const source = [
+    "{% figure id=\"arch\" caption=\"Architecture\" %}",
+    "![Diagram](arch.png)",
+    "{% /figure %}",
+    "",
+    "See {% captionRef($figure, label=true) %}, {% captionRef($missing) %}, " +
+      "{% captionRef() %}.",
+    "",
+  ].join("\n");
+  const { markdown, diagnostics } = render(
+    { "/docs/a.mdoc": source },
+    { variables: { figure: "#arch", missing: "#flow" } }
+  );
+  assert.match(markdown, /See Figure 1, \?, \?\./);
+  assert.deepStrictEqual(
+    diagnostics.map(({ line, message }) => ({ line, message })),
+    [
+      { line: 5, message: "captionRef() needs a string as its first argument" },
+      { line: undefined, message: "Unresolved caption reference: '#flow'" },
+    ]
+  );
+});
+
+test("headings with references are indexed as they render", () => {
+  const files = {
+    "/docs/a.mdoc": [
+      "{% ol id=\"s\" %}",
+      "{% li cl=\"one\" %} One {% /li %}",
+      "{% li cl=\"two\" %} Two {% /li %}",
+      "{% /ol %}",
+      "",
+      "## Step {% liRef(\"#s .two\") %}",
+      "",
+      "See {% ref(\"#step-2\") %}.",
+      "",
+    ].join("\n"),
+    "/docs/b.mdoc": "{% toc file=\"a.mdoc\" /%}\n",
+  };
+  const fs = createMemoryFs(files);
+  const projectIndex = buildProjectIndex(Object.keys(files), fs);
+  assert.deepStrictEqual([...projectIndex.get("/docs/a.mdoc").headings.keys()], [
+    "step-2",
+  ]);
+
+  const a = render(files, { projectIndex });
+  assert.deepStrictEqual(a.diagnostics, []);
+  assert.match(a.markdown, /## Step 2\n\nSee \[Step 2\]\(#step-2\)\./);
+  const b = render(files, { file: "/docs/b.mdoc", projectIndex });
+  assert.strictEqual(b.markdown, "- [Step 2](a.g.md#step-2)\n");
+});
+
+test("the project index entry is reused with its diagnostics", () => {
+  const files = { "/docs/a.mdoc": "## Setup {% #s %}\n\n## Usage {% #s %}\n" };
+  const fs = createMemoryFs(files);
+  const projectIndex = buildProjectIndex(Object.keys(files), fs);
+  const duplicate = {
+    file: "/docs/a.mdoc",
+    line: 3,
+    level: "error",
+    message: "Duplicate heading id 's' (first defined on line 1)",
+  };
+  assert.deepStrictEqual(projectIndex.get("/docs/a.mdoc").diagnostics, [
+    duplicate,
+  ]);
+  assert.deepStrictEqual(render(files, { projectIndex }).diagnostics, [
+    duplicate,
+  ]);
+  assert.deepStrictEqual(render(files).diagnostics, [duplicate]);
+});
+
+test("list items have their own lines", () => {
+  const source = [
+    "{% ol %}",
+    "{% li cl=\"one\" %} One {% /li %}",
+    "{% li cl=\"two\" %}",
+    "Two",
+    "{% /li %}",
+    "{% li cl=\"one\" %} Three {% /li %}",
+    "{% /ol %}",
+    "",
+    "{% ul %}",
+    "{% li cl=\"two\" %} Four {% /li %}",
+    "{% /ul %}",
+    "",
+    "See {% liRef(\".two\") %}.",
+    "",
+  ].join("\n");
+  const { diagnostics } = render({ "/docs/a.mdoc": source });
+  assert.deepStrictEqual(
+    diagnostics.map(({ line, message }) => ({ line, message })),
+    [
+      {
+        line: 6,
+        message: "Duplicate reference '.one' (first defined on line 2)",
+      },
+      {
+        line: 13,
+        message:
+          "Ambiguous reference: '.two' matches the items at a.mdoc:3 (2), " +
+          "a.mdoc:10 (1)",
+      },
+    ]
+  );
+});